@@ -0,0 +1,233 @@
+import dotenv from "dotenv";
+import Joi from "joi";
+
+// Load environment variables from .env (no-op when the file doesn't exist)
+dotenv.config();
+
+/**
+ * Application configuration
+ *
+ * Every setting comes from an environment variable and is validated here once
+ * at startup, so a missing secret or a typo fails fast with a clear message
+ * instead of surfacing later as a confusing runtime error. Modules import the
+ * typed values from this file and never read process.env themselves.
+ */
+
+// Joi doesn't parse JSON strings into arrays on its own
+const JoiWithJson = Joi.extend({
+	type: "array",
+	base: Joi.array(),
+	coerce: {
+		from: "string",
+		method(value, helpers) {
+			try {
+				return { value: JSON.parse(value) };
+			} catch {
+				return { errors: [helpers.error("array.base")] };
+			}
+		},
+	},
+});
+
+// Comma-separated list, e.g. "http://localhost:3005,https://example.com"
+const commaSeparatedList = Joi.string().custom((value) =>
+	value
+		.split(",")
+		.map((item) => item.trim())
+		.filter(Boolean)
+);
+
+const envSchema = Joi.object({
+	NODE_ENV: Joi.string().valid("development", "production", "test"),
+	PORT: Joi.number().port().default(3005),
+
+	// Database
+	DB_URI: Joi.string()
+		.uri({ scheme: ["postgres", "postgresql"] })
+		.required()
+		.description("PostgreSQL connection string"),
+	DB_SSL: Joi.boolean().default(true),
+	DB_POOL_MAX: Joi.number().integer().min(1).default(1),
+	DB_POOL_MIN: Joi.number().integer().min(0).default(0),
+	DB_POOL_ACQUIRE_MS: Joi.number().integer().min(0).default(30050),
+	DB_POOL_IDLE_MS: Joi.number().integer().min(0).default(10000),
+	DB_CONNECT_TIMEOUT_MS: Joi.number().integer().min(0).default(30050),
+
+	// Tokens - HS256 with JWT_SECRET unless asymmetric JWT_KEYS are configured
+	JWT_KEYS: JoiWithJson.array()
+		.items(
+			Joi.object({
+				kid: Joi.string().max(64).required(),
+				alg: Joi.string().valid("RS256", "EdDSA").required(),
+				privateKey: Joi.string(),
+				publicKey: Joi.string(),
+			}).or("privateKey", "publicKey")
+		)
+		.unique("kid")
+		.min(1)
+		.description("JSON array of { kid, alg, privateKey?, publicKey? } PEM keys"),
+	JWT_ACTIVE_KID: Joi.string(),
+	JWT_SECRET: Joi.string()
+		.min(32)
+		.when("JWT_KEYS", {
+			is: Joi.exist(),
+			then: Joi.optional(),
+			otherwise: Joi.required(),
+		}),
+	ACCESS_TOKEN_TTL_SECONDS: Joi.number().integer().min(60).default(86400),
+	REFRESH_TOKEN_TTL_SECONDS: Joi.number().integer().min(60).default(604800),
+	EMAIL_VERIFICATION_TTL_SECONDS: Joi.number()
+		.integer()
+		.min(60)
+		.default(86400),
+	PASSWORD_RESET_TTL_SECONDS: Joi.number().integer().min(60).default(3600),
+	MFA_TOKEN_TTL_SECONDS: Joi.number().integer().min(30).default(300),
+
+	// Cookie authentication
+	AUTH_COOKIE_SAMESITE: Joi.string().valid("strict", "lax", "none"),
+
+	// CORS and frontend
+	CORS_ORIGINS: commaSeparatedList.default([
+		"http://localhost:3005",
+		"https://csmbd-assignment-frontend.vercel.app",
+	]),
+	CLIENT_URL: Joi.string()
+		.uri()
+		.default("https://csmbd-assignment-frontend.vercel.app"),
+
+	// Uploads and request parsing
+	UPLOAD_MAX_FILE_SIZE_MB: Joi.number().positive().default(2),
+	REQUEST_BODY_LIMIT: Joi.string().default("1mb"),
+
+	// Mail - without SMTP_HOST mails are only logged, which would lose
+	// verification and password reset mails in production
+	SMTP_HOST: Joi.string()
+		.hostname()
+		.when("NODE_ENV", {
+			is: "production",
+			then: Joi.required(),
+		}),
+	SMTP_PORT: Joi.number().port().default(587),
+	SMTP_SECURE: Joi.boolean().default(false),
+	SMTP_USER: Joi.string(),
+	SMTP_PASSWORD: Joi.string(),
+	MAIL_FROM: Joi.string().default("CSMBD <no-reply@csmbd.app>"),
+
+	// Password policy
+	PASSWORD_MIN_LENGTH: Joi.number().integer().min(8).max(128).default(8),
+	PASSWORD_REQUIRE_UPPERCASE: Joi.boolean().default(false),
+	PASSWORD_REQUIRE_LOWERCASE: Joi.boolean().default(false),
+	PASSWORD_REQUIRE_NUMBER: Joi.boolean().default(false),
+	PASSWORD_REQUIRE_SYMBOL: Joi.boolean().default(false),
+
+	// Accounts
+	TOTP_ISSUER: Joi.string().default("CSMBD"),
+	ACCOUNT_DELETION_GRACE_DAYS: Joi.number().integer().min(0).default(30),
+	HANDLE_CHANGE_COOLDOWN_DAYS: Joi.number().integer().min(0).default(30),
+	ADMIN_EMAIL: Joi.string().email(),
+
+	// Content
+	COMMENT_EDIT_WINDOW_MINUTES: Joi.number().integer().min(0).default(15),
+
+	CRON_SECRET: Joi.string().min(16),
+})
+	// Other variables (PATH, HOME, ...) are none of our business
+	.unknown(true);
+
+const { value: env, error } = envSchema.validate(process.env, {
+	abortEarly: false,
+	convert: true,
+});
+
+if (error) {
+	const details = error.details
+		.map((detail) => `  - ${detail.message}`)
+		.join("\n");
+	throw new Error(`Invalid environment configuration:\n${details}`);
+}
+
+const config = {
+	env: env.NODE_ENV,
+	isDevelopment: env.NODE_ENV === "development",
+	isProduction: env.NODE_ENV === "production",
+	port: env.PORT,
+
+	database: {
+		uri: env.DB_URI,
+		ssl: env.DB_SSL,
+		connectTimeoutMs: env.DB_CONNECT_TIMEOUT_MS,
+		pool: {
+			max: env.DB_POOL_MAX,
+			min: env.DB_POOL_MIN,
+			acquire: env.DB_POOL_ACQUIRE_MS,
+			idle: env.DB_POOL_IDLE_MS,
+		},
+	},
+
+	auth: {
+		// Still accepted for verifying tokens without a kid while migrating
+		jwtSecret: env.JWT_SECRET || null,
+		jwtKeys: env.JWT_KEYS || [],
+		jwtActiveKid: env.JWT_ACTIVE_KID || null,
+		accessTokenTtlSeconds: env.ACCESS_TOKEN_TTL_SECONDS,
+		refreshTokenTtlSeconds: env.REFRESH_TOKEN_TTL_SECONDS,
+		emailVerificationTtlSeconds: env.EMAIL_VERIFICATION_TTL_SECONDS,
+		passwordResetTtlSeconds: env.PASSWORD_RESET_TTL_SECONDS,
+		mfaTokenTtlSeconds: env.MFA_TOKEN_TTL_SECONDS,
+		// The frontend runs on another site, so production needs SameSite=None.
+		// Plain-http local development can't use Secure cookies, so use Lax there.
+		cookieSameSite:
+			env.AUTH_COOKIE_SAMESITE ||
+			(env.NODE_ENV === "development" ? "lax" : "none"),
+		cookieSecure: env.NODE_ENV !== "development",
+		totpIssuer: env.TOTP_ISSUER,
+	},
+
+	cors: {
+		origins: env.CORS_ORIGINS,
+	},
+
+	clientUrl: env.CLIENT_URL,
+
+	uploads: {
+		maxFileSizeBytes: Math.round(env.UPLOAD_MAX_FILE_SIZE_MB * 1024 * 1024),
+	},
+
+	requestBodyLimit: env.REQUEST_BODY_LIMIT,
+
+	mail: {
+		from: env.MAIL_FROM,
+		smtp: env.SMTP_HOST
+			? {
+					host: env.SMTP_HOST,
+					port: env.SMTP_PORT,
+					secure: env.SMTP_SECURE,
+					user: env.SMTP_USER,
+					password: env.SMTP_PASSWORD,
+			  }
+			: null,
+	},
+
+	passwordPolicy: {
+		minLength: env.PASSWORD_MIN_LENGTH,
+		requireUppercase: env.PASSWORD_REQUIRE_UPPERCASE,
+		requireLowercase: env.PASSWORD_REQUIRE_LOWERCASE,
+		requireNumber: env.PASSWORD_REQUIRE_NUMBER,
+		requireSymbol: env.PASSWORD_REQUIRE_SYMBOL,
+	},
+
+	accounts: {
+		deletionGraceDays: env.ACCOUNT_DELETION_GRACE_DAYS,
+		handleChangeCooldownDays: env.HANDLE_CHANGE_COOLDOWN_DAYS,
+		adminEmail: env.ADMIN_EMAIL || null,
+	},
+
+	content: {
+		commentEditWindowMinutes: env.COMMENT_EDIT_WINDOW_MINUTES,
+	},
+
+	cronSecret: env.CRON_SECRET || null,
+};
+
+export { config };
+export default config;
@@ -0,0 +1,144 @@
+import { PersonalAccessToken } from "../model/personal-access-token.model.js";
+import { TOKEN_SCOPES, userValidation } from "../model/user.model.js";
+import {
+	generatePersonalAccessToken,
+	hashPersonalAccessToken,
+} from "../utils/personal-access-token.util.js";
+
+// Upper limit of tokens per user
+const MAX_TOKENS_PER_USER = 25;
+
+// Serialize a token for the client - never includes the hash
+const formatAccessToken = (accessToken) => ({
+	id: accessToken.id,
+	name: accessToken.name,
+	tokenPrefix: accessToken.tokenPrefix,
+	scopes: accessToken.scopes,
+	lastUsedAt: accessToken.lastUsedAt,
+	expiresAt: accessToken.expiresAt,
+	createdAt: accessToken.createdAt,
+});
+
+/**
+ * Create a personal access token
+ * The token is returned once and only its hash is stored.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createAccessToken = async (req, res) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.createAccessToken.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const { name, scopes, expiresInDays } = req.body;
+
+		// Tokens revoked by signing out everywhere don't count
+		const tokenCount = await PersonalAccessToken.count({
+			where: { userId: req.user.id, tokenVersion: req.user.tokenVersion },
+		});
+		if (tokenCount >= MAX_TOKENS_PER_USER) {
+			return res.status(409).json({
+				success: false,
+				message: `You can have at most ${MAX_TOKENS_PER_USER} access tokens. Revoke one first.`,
+			});
+		}
+
+		const token = generatePersonalAccessToken();
+
+		const accessToken = await PersonalAccessToken.create({
+			userId: req.user.id,
+			name,
+			tokenHash: hashPersonalAccessToken(token),
+			tokenPrefix: token.slice(0, 16),
+			scopes: [...new Set(scopes)],
+			tokenVersion: req.user.tokenVersion,
+			expiresAt: expiresInDays
+				? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+				: null,
+		});
+
+		return res.status(201).json({
+			success: true,
+			message:
+				"Access token created. Copy it now - it won't be shown again.",
+			data: {
+				...formatAccessToken(accessToken),
+				token,
+			},
+		});
+	} catch (error) {
+		console.error("Create access token error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to create access token",
+		});
+	}
+};
+
+/**
+ * List the personal access tokens of the current user
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAccessTokens = async (req, res) => {
+	try {
+		// Tokens revoked by signing out everywhere are no longer listed
+		const accessTokens = await PersonalAccessToken.findAll({
+			where: { userId: req.user.id, tokenVersion: req.user.tokenVersion },
+			order: [["created_at", "DESC"]],
+		});
+
+		return res.status(200).json({
+			success: true,
+			message: "Access tokens fetched successfully",
+			data: accessTokens.map(formatAccessToken),
+			meta: { availableScopes: TOKEN_SCOPES },
+		});
+	} catch (error) {
+		console.error("Get access tokens error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to fetch access tokens",
+		});
+	}
+};
+
+/**
+ * Revoke a personal access token
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeAccessToken = async (req, res) => {
+	try {
+		const deleted = await PersonalAccessToken.destroy({
+			where: { id: req.params.id, userId: req.user.id },
+		});
+
+		if (!deleted) {
+			return res.status(404).json({
+				success: false,
+				message: "Access token not found",
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: "Access token revoked successfully",
+		});
+	} catch (error) {
+		console.error("Revoke access token error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to revoke access token",
+		});
+	}
+};
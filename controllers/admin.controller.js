@@ -0,0 +1,274 @@
+import { Op } from "sequelize";
+import { Content } from "../model/content.model.js";
+import { Session } from "../model/session.model.js";
+import {
+	PRIVATE_ATTRIBUTES,
+	User,
+	USER_ROLES,
+	userValidation,
+} from "../model/user.model.js";
+import { includeYoutubeLinks, isContentId } from "../utils/content.util.js";
+import { escapeLike } from "../utils/search.util.js";
+
+// Moderators need to see suspension and deletion details, everything else
+// stays private
+const ADMIN_EXCLUDED_ATTRIBUTES = PRIVATE_ATTRIBUTES.filter(
+	(attribute) =>
+		!["suspendedAt", "suspensionReason", "deletedAt"].includes(attribute)
+);
+
+// Users can only moderate accounts with a lower role than their own
+const outranks = (actor, target) =>
+	USER_ROLES.indexOf(actor.role) > USER_ROLES.indexOf(target.role);
+
+// Load the target user or throw a 404
+const findTargetUser = async (userId) => {
+	const user = await User.findByPk(userId, {
+		include: [includeYoutubeLinks()],
+	});
+	if (!user) {
+		const error = new Error("User not found");
+		error.statusCode = 404;
+		throw error;
+	}
+	return user;
+};
+
+// Reject moderation of oneself or of equally/higher ranked accounts
+const assertCanModerate = (actor, target) => {
+	if (actor.id === target.id || !outranks(actor, target)) {
+		const error = new Error("You cannot moderate this account");
+		error.statusCode = 403;
+		throw error;
+	}
+};
+
+// Serialize a user for admin responses
+const formatAdminUser = (user) => {
+	const userData = user.toJSON();
+	ADMIN_EXCLUDED_ATTRIBUTES.forEach((attribute) => delete userData[attribute]);
+	userData.profilePictureUrl = `/api/v1/users/${user.id}/profile-picture`;
+	return userData;
+};
+
+// Sign the user out of every device: refresh tokens die with the version
+// bump, access tokens die with their sessions
+const revokeAllSessions = async (user) => {
+	user.tokenVersion += 1;
+	await user.save();
+	await Session.destroy({ where: { userId: user.id } });
+};
+
+// List and search users - includes suspended accounts
+export const listUsers = async (req, res, next) => {
+	try {
+		// Validate query parameters
+		const { error } = userValidation.adminListUsers.validate(req.query);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const page = parseInt(req.query.page) || 1;
+		const limit = parseInt(req.query.limit) || 20;
+		const offset = (page - 1) * limit;
+		const { q, role, status } = req.query;
+
+		const where = {};
+		if (q) {
+			where[Op.or] = [
+				{ name: { [Op.iLike]: `%${escapeLike(q)}%` } },
+				{ email: { [Op.iLike]: `%${escapeLike(q)}%` } },
+			];
+		}
+		if (role) {
+			where.role = role;
+		}
+		if (status === "suspended") {
+			where.suspendedAt = { [Op.not]: null };
+		} else if (status === "active") {
+			where.suspendedAt = null;
+		}
+
+		const { count: totalUsers, rows: users } = await User.findAndCountAll({
+			attributes: {
+				exclude: ADMIN_EXCLUDED_ATTRIBUTES,
+			},
+			include: [includeYoutubeLinks()],
+			where,
+			limit: limit,
+			offset: offset,
+			order: [["created_at", "DESC"]],
+		});
+
+		res.status(200).json({
+			success: true,
+			message: "Users fetched successfully",
+			data: users.map(formatAdminUser),
+			pagination: {
+				total: totalUsers,
+				limit: limit,
+				totalPages: Math.ceil(totalUsers / limit),
+				currentPage: page,
+				hasNextPage: offset + limit < totalUsers,
+				hasPreviousPage: page > 1,
+				nextPage: offset + limit < totalUsers ? page + 1 : null,
+				previousPage: page > 1 ? page - 1 : null,
+			},
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Get any user, including suspended accounts
+export const getUser = async (req, res, next) => {
+	try {
+		const user = await findTargetUser(req.params.id);
+
+		res.status(200).json({
+			success: true,
+			message: "User fetched successfully",
+			data: formatAdminUser(user),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Suspend an account - signs it out everywhere and hides it from visitors
+export const suspendUser = async (req, res, next) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.suspendUser.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const user = await findTargetUser(req.params.id);
+		assertCanModerate(req.user, user);
+
+		if (user.suspendedAt) {
+			return res.status(409).json({
+				success: false,
+				message: "User is already suspended",
+			});
+		}
+
+		user.suspendedAt = new Date();
+		user.suspensionReason = req.body.reason || null;
+		await revokeAllSessions(user);
+
+		res.status(200).json({
+			success: true,
+			message: "User suspended successfully",
+			data: formatAdminUser(user),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Lift a suspension
+export const unsuspendUser = async (req, res, next) => {
+	try {
+		const user = await findTargetUser(req.params.id);
+		assertCanModerate(req.user, user);
+
+		if (!user.suspendedAt) {
+			return res.status(409).json({
+				success: false,
+				message: "User is not suspended",
+			});
+		}
+
+		await user.update({ suspendedAt: null, suspensionReason: null });
+
+		res.status(200).json({
+			success: true,
+			message: "User unsuspended successfully",
+			data: formatAdminUser(user),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Sign a user out of every device
+export const forceSignOut = async (req, res, next) => {
+	try {
+		const user = await findTargetUser(req.params.id);
+		assertCanModerate(req.user, user);
+
+		await revokeAllSessions(user);
+
+		res.status(200).json({
+			success: true,
+			message: "User signed out of all sessions",
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Remove an offending YouTube link from a user's profile
+export const removeUserYoutubeLink = async (req, res, next) => {
+	try {
+		const user = await findTargetUser(req.params.id);
+		assertCanModerate(req.user, user);
+		const linkId = req.params.linkId;
+
+		const removed = isContentId(linkId)
+			? await Content.destroy({ where: { id: linkId, userId: user.id } })
+			: 0;
+
+		if (!removed) {
+			return res.status(404).json({
+				success: false,
+				message: "YouTube link not found",
+			});
+		}
+
+		await user.reload();
+
+		res.status(200).json({
+			success: true,
+			message: "YouTube link removed successfully",
+			data: formatAdminUser(user),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Change a user's role - admins only
+export const updateUserRole = async (req, res, next) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.updateRole.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const user = await findTargetUser(req.params.id);
+		assertCanModerate(req.user, user);
+
+		await user.update({ role: req.body.role });
+
+		res.status(200).json({
+			success: true,
+			message: "User role updated successfully",
+			data: formatAdminUser(user),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
@@ -1,56 +1,246 @@
-import dotenv from "dotenv";
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
-import { User, userValidation } from "../model/user.model.js";
+import { Op } from "sequelize";
+import config from "../config/env.config.js";
+import {
+	PRIVATE_ATTRIBUTES,
+	User,
+	userValidation,
+} from "../model/user.model.js";
+import { Session } from "../model/session.model.js";
+import {
+	CSRF_TOKEN_COOKIE,
+	REFRESH_TOKEN_COOKIE,
+	clearAuthCookies,
+	extractAccessToken,
+	hasValidCsrfToken,
+	setAuthCookies,
+	wantsCookieAuth,
+} from "../utils/auth-cookie.util.js";
+import { describeDevice } from "../utils/device.util.js";
+import { isHandleAvailable, suggestHandle } from "../utils/handle.util.js";
+import {
+	getJwks,
+	signJwt,
+	TOKEN_AUDIENCES,
+	verifyJwt,
+} from "../utils/jwt.util.js";
+import { verifyTwoFactorCode } from "./two-factor.controller.js";
+import {
+	clearLoginThrottle,
+	getLoginRetryAfter,
+	getLoginThrottleKeys,
+	recordLoginFailure,
+} from "../utils/login-throttle.util.js";
+import { sendMail } from "../utils/mail.util.js";
+import { getRevocationStore } from "../utils/revocation.util.js";
 
-dotenv.config();
+// Refresh tokens and the sessions holding them expire together
+const REFRESH_TOKEN_TTL_MS = config.auth.refreshTokenTtlSeconds * 1000;
 
-// In-memory blacklist for invalidated tokens (DEVELOPMENT ONLY)
-const tokenBlacklist = new Set();
+// Human readable token lifetime for emails, e.g. "24 hours"
+const formatDuration = (seconds) => {
+	const [value, unit] =
+		seconds % 3600 === 0
+			? [seconds / 3600, "hour"]
+			: [Math.round(seconds / 60), "minute"];
+	return `${value} ${unit}${value === 1 ? "" : "s"}`;
+};
+
+// Only the SHA-256 hash of reset and refresh tokens is stored in the database
+const hashToken = (token) =>
+	crypto.createHash("sha256").update(token).digest("hex");
 
-// Helper to extract token
-const extractToken = (req) => {
-	if (
-		req.headers.authorization &&
-		req.headers.authorization.startsWith("Bearer")
-	) {
-		return req.headers.authorization.split(" ")[1].trim();
+// Hash compared against when the email is unknown, so a missing account
+// takes as long to reject as a wrong password
+let dummyPasswordHash;
+const getDummyPasswordHash = async () => {
+	if (!dummyPasswordHash) {
+		dummyPasswordHash = await bcrypt.hash(
+			crypto.randomBytes(16).toString("hex"),
+			10
+		);
 	}
-	return null;
+	return dummyPasswordHash;
+};
+
+// Signing in during the deletion grace period cancels the deletion
+const restoreDeletedAccount = async (user) => {
+	if (user.deletedAt) {
+		user.deletedAt = null;
+		await user.save();
+	}
+};
+
+// Response for throttled sign-in attempts
+const sendTooManyAttempts = (res, retryAfter) => {
+	res.setHeader("Retry-After", String(retryAfter));
+	return res.status(429).json({
+		success: false,
+		message: `Too many failed sign-in attempts. Please try again in ${
+			retryAfter < 60
+				? `${retryAfter} seconds`
+				: `${Math.ceil(retryAfter / 60)} minutes`
+		} or reset your password.`,
+	});
+};
+
+// Key under which an access token is revoked - tokens issued before access
+// tokens carried a jti fall back to the hash of the token itself
+const getRevocationKey = (token, decoded) => decoded?.jti || hashToken(token);
+
+// Remove private attributes from a user before sending it to the client
+const sanitizeUser = (user) => {
+	const userData = user.toJSON();
+	PRIVATE_ATTRIBUTES.forEach((attribute) => delete userData[attribute]);
+	return userData;
 };
 
 /**
- * Generate tokens for authentication (access + refresh)
+ * Issue a single-use email verification token and mail it to the user
+ *
+ * The token is a signed JWT whose jti is stored on the user, so issuing a new
+ * token (or using one) invalidates every token sent before it.
  *
  * @param {Object} user - User object from database
- * @returns {Object} Object containing access and refresh tokens
+ * @returns {Promise<void>}
  */
-const generateTokens = async (user) => {
-	// Create access token with short lifetime
-	const accessToken = jwt.sign({ userId: user.id }, "04058abefa84d9a7109e55111830e7e1d01474d8d10e667b8d1b9ba38b55447c", {
-		expiresIn: "1d",
+export const sendVerificationEmail = async (user) => {
+	const tokenId = crypto.randomBytes(16).toString("hex");
+
+	const token = signJwt(
+		{ userId: user.id, email: user.email },
+		{
+			audience: TOKEN_AUDIENCES.emailVerification,
+			expiresIn: config.auth.emailVerificationTtlSeconds,
+			jwtid: tokenId,
+		}
+	);
+
+	user.emailVerificationTokenId = tokenId;
+	await user.save();
+
+	const verifyUrl = `${config.clientUrl}/verify-email?token=${encodeURIComponent(
+		token
+	)}`;
+
+	await sendMail({
+		to: user.email,
+		subject: "Verify your email address",
+		text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. The link expires in ${formatDuration(
+			config.auth.emailVerificationTtlSeconds
+		)}.\n\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`,
 	});
+};
+
+/**
+ * Sign an access + refresh token pair for a session
+ *
+ * Every refresh token gets a unique jti so a rotated token never equals
+ * the one it replaces.
+ *
+ * @param {Object} user - User object from database
+ * @param {Object} session - Session the tokens belong to
+ * @returns {Object} Object containing access and refresh tokens
+ */
+const signTokens = (user, session) => {
+	// Create access token with short lifetime - the jti allows revoking it
+	const accessToken = signJwt(
+		{ userId: user.id, sessionId: session.id },
+		{
+			audience: TOKEN_AUDIENCES.access,
+			expiresIn: config.auth.accessTokenTtlSeconds,
+			jwtid: crypto.randomBytes(16).toString("hex"),
+		}
+	);
 
 	// Create refresh token with longer lifetime and include token version
-	const refreshToken = jwt.sign(
+	const refreshToken = signJwt(
 		{
 			userId: user.id,
 			version: user.tokenVersion,
+			sessionId: session.id,
 		},
-		"04058abefa84d9a7109e55111830e7e1d01474d8d10e667b8d1b9ba38b55447c",
-		{ expiresIn: "7d" }
+		{
+			audience: TOKEN_AUDIENCES.refresh,
+			expiresIn: config.auth.refreshTokenTtlSeconds,
+			jwtid: crypto.randomBytes(16).toString("hex"),
+		}
 	);
 
-	// Store refresh token in database
-	user.refreshToken = refreshToken;
-	await user.save();
-
 	return { accessToken, refreshToken };
 };
 
+/**
+ * Generate tokens for authentication (access + refresh)
+ *
+ * Every sign-in starts a new session so several devices can stay signed in
+ * at the same time. Both tokens carry the session ID, the refresh token is
+ * only stored as a hash on the session.
+ *
+ * @param {Object} user - User object from database
+ * @param {Object} req - Express request object, used to record device and IP
+ * @returns {Object} Object containing access and refresh tokens and the session
+ */
+export const generateTokens = async (user, req) => {
+	// Start a new session for this device
+	const userAgent = req.get("user-agent") || null;
+	const session = Session.build({
+		userId: user.id,
+		device: describeDevice(userAgent),
+		userAgent,
+		ipAddress: req.ip || null,
+	});
+
+	const { accessToken, refreshToken } = signTokens(user, session);
+
+	// Store the refresh token hash on the session
+	session.refreshTokenHash = hashToken(refreshToken);
+	session.lastUsedAt = new Date();
+	session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+	await session.save();
+
+	return { accessToken, refreshToken, session };
+};
+
+/**
+ * Deliver a token pair to the client
+ *
+ * In cookie mode the tokens are set as HttpOnly cookies and only the CSRF
+ * token is returned, otherwise the tokens are returned in the JSON body.
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - Access and refresh tokens
+ * @param {boolean} cookieMode - Whether to use HttpOnly cookies
+ * @returns {Object} Token fields for the response body
+ */
+export const buildTokenResponse = (res, tokens, cookieMode) => {
+	if (cookieMode) {
+		return { csrfToken: setAuthCookies(res, tokens) };
+	}
+
+	return {
+		accessToken: tokens.accessToken,
+		refreshToken: tokens.refreshToken,
+	};
+};
+
+// Serialize a session for the client
+const formatSession = (session, currentSessionId) => ({
+	id: session.id,
+	device: session.device,
+	userAgent: session.userAgent,
+	ipAddress: session.ipAddress,
+	createdAt: session.createdAt,
+	lastUsedAt: session.lastUsedAt,
+	current: session.id === currentSessionId,
+});
+
 export const signUp = async (req, res) => {
 	try {
 		// Validate request body using Joi
-		const { error } = userValidation.register.validate(req.body);
+		const { error, value } = userValidation.register.validate(req.body);
 		if (error) {
 			return res.status(400).json({
 				success: false,
@@ -58,7 +248,7 @@ export const signUp = async (req, res) => {
 			});
 		}
 
-		const { name, email, password } = req.body;
+		const { name, email, password } = value;
 
 		// First check if user exists OUTSIDE of any transaction
 		const existingUser = await User.findOne({
@@ -72,23 +262,38 @@ export const signUp = async (req, res) => {
 			});
 		}
 
+		// Use the requested handle or suggest one from the name
+		if (value.handle && !(await isHandleAvailable(value.handle))) {
+			return res.status(409).json({
+				success: false,
+				message: "Handle is not available",
+			});
+		}
+		const handle = value.handle || (await suggestHandle(name));
+
 		// Create user without transaction
-		const newUser = await User.create({ name, email, password });
+		const newUser = await User.create({ name, email, password, handle });
+
+		// Send the verification email - a mail failure must not fail the signup,
+		// the user can request a new link via resend-verification
+		try {
+			await sendVerificationEmail(newUser);
+		} catch (mailError) {
+			console.error("Verification email error:", mailError.message);
+		}
 
 		// Generate tokens
-		const { accessToken, refreshToken } = await generateTokens(newUser);
+		const tokens = await generateTokens(newUser, req);
 
-		// Remove password from response
-		const userWithoutPassword = newUser.toJSON();
-		delete userWithoutPassword.password;
-		delete userWithoutPassword.refreshToken; // Don't send refreshToken in user object
+		// Remove private fields from response
+		const userWithoutPassword = sanitizeUser(newUser);
 
 		return res.status(201).json({
 			success: true,
-			message: "User created successfully",
+			message:
+				"User created successfully. Please check your email to verify your account.",
 			data: {
-				accessToken,
-				refreshToken,
+				...buildTokenResponse(res, tokens, wantsCookieAuth(req)),
 				user: userWithoutPassword,
 			},
 		});
@@ -115,41 +320,82 @@ export const signIn = async (req, res) => {
 
 		const { email, password } = req.body;
 
+		// Refuse attempts while the account or IP is throttled
+		const throttleKeys = getLoginThrottleKeys(req, email);
+		const retryAfter = await getLoginRetryAfter(throttleKeys);
+		if (retryAfter > 0) {
+			return sendTooManyAttempts(res, retryAfter);
+		}
+
 		// Find user by email - using Sequelize's findOne
 		const user = await User.findOne({
 			where: { email },
 		});
 
-		if (!user) {
-			return res.status(404).json({
+		// Use the comparePassword method we defined in the model. Unknown
+		// emails and wrong passwords get the same response so the endpoint
+		// doesn't reveal which addresses are registered.
+		const isPasswordCorrect = user
+			? await user.comparePassword(password)
+			: await bcrypt.compare(password, await getDummyPasswordHash());
+
+		if (!user || !isPasswordCorrect) {
+			await recordLoginFailure(throttleKeys);
+			return res.status(401).json({
 				success: false,
-				message: "User not found",
+				message: "Invalid email or password",
 			});
 		}
 
-		// Use the comparePassword method we defined in the model
-		const isPasswordCorrect = await user.comparePassword(password);
-		if (!isPasswordCorrect) {
-			return res.status(401).json({
+		await clearLoginThrottle(throttleKeys[0]);
+
+		if (user.suspendedAt) {
+			return res.status(403).json({
 				success: false,
-				message: "Invalid password",
+				message: "Your account has been suspended.",
 			});
 		}
 
+		// With 2FA enabled the password alone isn't enough - hand out a
+		// short-lived token to exchange together with a code at /signin/2fa.
+		// Its own audience keeps it from working as an access token, its jti
+		// lets it be revoked once it has been exchanged.
+		if (user.twoFactorEnabled) {
+			const mfaToken = signJwt(
+				{
+					userId: user.id,
+					version: user.tokenVersion,
+				},
+				{
+					audience: TOKEN_AUDIENCES.mfaPending,
+					expiresIn: config.auth.mfaTokenTtlSeconds,
+					jwtid: crypto.randomBytes(16).toString("hex"),
+				}
+			);
+
+			return res.status(200).json({
+				success: true,
+				message: "Two-factor authentication required",
+				data: {
+					mfaRequired: true,
+					mfaToken,
+				},
+			});
+		}
+
+		await restoreDeletedAccount(user);
+
 		// Generate tokens
-		const { accessToken, refreshToken } = await generateTokens(user);
+		const tokens = await generateTokens(user, req);
 
-		// Remove password from response using Sequelize's toJSON
-		const userWithoutPassword = user.toJSON();
-		delete userWithoutPassword.password;
-		delete userWithoutPassword.refreshToken; // Don't send refreshToken in user object
+		// Remove private fields from response
+		const userWithoutPassword = sanitizeUser(user);
 
 		res.status(200).json({
 			success: true,
 			message: "User signed in successfully",
 			data: {
-				accessToken,
-				refreshToken,
+				...buildTokenResponse(res, tokens, wantsCookieAuth(req)),
 				user: userWithoutPassword,
 			},
 		});
@@ -163,15 +409,139 @@ export const signIn = async (req, res) => {
 	}
 };
 
+/**
+ * Second sign-in step for users with 2FA enabled
+ * Exchanges the "mfa pending" token from signIn plus a TOTP or recovery
+ * code for the real token pair.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const signInTwoFactor = async (req, res) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.signInTwoFactor.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const { mfaToken, code } = req.body;
+
+		let decoded;
+		try {
+			decoded = verifyJwt(mfaToken, {
+				audience: TOKEN_AUDIENCES.mfaPending,
+			});
+		} catch {
+			decoded = null;
+		}
+
+		// The token can only be exchanged once
+		if (
+			!decoded ||
+			(await getRevocationStore().isRevoked(
+				getRevocationKey(mfaToken, decoded)
+			))
+		) {
+			return res.status(401).json({
+				success: false,
+				message: "Invalid or expired MFA token. Please sign in again.",
+			});
+		}
+
+		const user = await User.findByPk(decoded.userId);
+
+		// The password may have changed since the first step
+		if (!user || decoded.version !== user.tokenVersion) {
+			return res.status(401).json({
+				success: false,
+				message: "Invalid or expired MFA token. Please sign in again.",
+			});
+		}
+
+		// The account may have been suspended since the first step
+		if (user.suspendedAt) {
+			return res.status(403).json({
+				success: false,
+				message: "Your account has been suspended.",
+			});
+		}
+
+		// Code guesses count towards the same limits as password guesses
+		const throttleKeys = getLoginThrottleKeys(req, user.email);
+		const retryAfter = await getLoginRetryAfter(throttleKeys);
+		if (retryAfter > 0) {
+			return sendTooManyAttempts(res, retryAfter);
+		}
+
+		if (!(await verifyTwoFactorCode(user, code))) {
+			await recordLoginFailure(throttleKeys);
+			return res.status(401).json({
+				success: false,
+				message: "Invalid authentication code",
+			});
+		}
+
+		await clearLoginThrottle(throttleKeys[0]);
+
+		// Revoke the token until it expires so it can't start another session
+		await getRevocationStore().revoke(
+			getRevocationKey(mfaToken, decoded),
+			new Date(decoded.exp * 1000)
+		);
+
+		await restoreDeletedAccount(user);
+
+		// Generate tokens
+		const tokens = await generateTokens(user, req);
+
+		res.status(200).json({
+			success: true,
+			message: "User signed in successfully",
+			data: {
+				...buildTokenResponse(res, tokens, wantsCookieAuth(req)),
+				user: sanitizeUser(user),
+			},
+		});
+	} catch (error) {
+		console.error("2FA login error:", error.message);
+		res.status(500).json({
+			success: false,
+			message: "Failed to sign in",
+		});
+	}
+};
+
+// Revoke a session after its refresh token was replayed
+const revokeTokenFamily = async (session) => {
+	console.warn(
+		`Refresh token reuse detected for session ${session.id} of user ${session.userId}, revoking session`
+	);
+	await Session.destroy({ where: { id: session.id } });
+};
+
 /**
  * Refresh the access token using a valid refresh token
  *
+ * Refresh tokens are rotated on every use: the response contains a new
+ * refresh token and the presented one stops working. Presenting a rotated
+ * token again is treated as theft and revokes the session.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const refreshToken = async (req, res) => {
 	try {
-		const { refreshToken } = req.body;
+		// Cookie mode clients send the refresh token as an HttpOnly cookie
+		const cookieMode =
+			!req.body.refreshToken &&
+			Boolean(req.cookies?.[REFRESH_TOKEN_COOKIE]);
+		const refreshToken = cookieMode
+			? req.cookies[REFRESH_TOKEN_COOKIE]
+			: req.body.refreshToken;
 
 		if (!refreshToken) {
 			return res.status(400).json({
@@ -180,10 +550,19 @@ export const refreshToken = async (req, res) => {
 			});
 		}
 
+		if (cookieMode && !hasValidCsrfToken(req)) {
+			return res.status(403).json({
+				success: false,
+				message: "Invalid or missing CSRF token",
+			});
+		}
+
 		// Verify the refresh token
 		let decoded;
 		try {
-			decoded = jwt.verify(refreshToken, "04058abefa84d9a7109e55111830e7e1d01474d8d10e667b8d1b9ba38b55447c");
+			decoded = verifyJwt(refreshToken, {
+				audience: TOKEN_AUDIENCES.refresh,
+			});
 		} catch {
 			return res.status(401).json({
 				success: false,
@@ -191,17 +570,40 @@ export const refreshToken = async (req, res) => {
 			});
 		}
 
-		// Find the user
+		// Find the user and the session the token was issued for
 		const user = await User.findByPk(decoded.userId);
+		const session = decoded.sessionId
+			? await Session.findOne({
+					where: {
+						id: decoded.sessionId,
+						userId: decoded.userId,
+						expiresAt: { [Op.gt]: new Date() },
+					},
+			  })
+			: null;
 
-		// Validate user exists and token matches stored token
-		if (!user || user.refreshToken !== refreshToken) {
+		// Validate user and session exist and the account isn't suspended
+		if (!user || !session || user.suspendedAt) {
 			return res.status(401).json({
 				success: false,
 				message: "Invalid refresh token",
 			});
 		}
 
+		const presentedHash = hashToken(refreshToken);
+
+		// A valid token that is no longer the session's current one has
+		// already been rotated - someone is replaying it. Revoke the whole
+		// token family (the session) so both parties have to sign in again.
+		if (session.refreshTokenHash !== presentedHash) {
+			await revokeTokenFamily(session);
+			clearAuthCookies(res);
+			return res.status(401).json({
+				success: false,
+				message: "Refresh token reuse detected. Please login again.",
+			});
+		}
+
 		// Validate token version (protection against stolen refresh tokens)
 		if (decoded.version !== user.tokenVersion) {
 			return res.status(401).json({
@@ -210,22 +612,34 @@ export const refreshToken = async (req, res) => {
 			});
 		}
 
-		// Generate a new access token
-		const accessToken = jwt.sign(
-			{ userId: user.id },
-			"04058abefa84d9a7109e55111830e7e1d01474d8d10e667b8d1b9ba38b55447c",
+		// Rotate: issue a new pair and swap the stored hash only if it still
+		// matches the presented token, so two concurrent refreshes with the
+		// same token can't both succeed
+		const tokens = signTokens(user, session);
+		const [rotated] = await Session.update(
 			{
-				expiresIn: "1d",
-			}
+				refreshTokenHash: hashToken(tokens.refreshToken),
+				ipAddress: req.ip || session.ipAddress,
+				lastUsedAt: new Date(),
+				expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+			},
+			{ where: { id: session.id, refreshTokenHash: presentedHash } }
 		);
 
-		// Return the new access token
+		if (!rotated) {
+			await revokeTokenFamily(session);
+			clearAuthCookies(res);
+			return res.status(401).json({
+				success: false,
+				message: "Refresh token reuse detected. Please login again.",
+			});
+		}
+
+		// Return the new token pair - the old refresh token is now invalid
 		return res.status(200).json({
 			success: true,
 			message: "Token refreshed successfully",
-			data: {
-				accessToken,
-			},
+			data: buildTokenResponse(res, tokens, cookieMode),
 		});
 	} catch (error) {
 		console.error("Refresh token error:", error.message);
@@ -236,55 +650,291 @@ export const refreshToken = async (req, res) => {
 	}
 };
 
+/**
+ * Verify a user's email address using the token sent by email
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const verifyEmail = async (req, res) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.verifyEmail.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		// Verify the token signature, expiry and audience - access tokens
+		// can't be used here and verification links can't be used to sign in
+		let decoded;
+		try {
+			decoded = verifyJwt(req.body.token, {
+				audience: TOKEN_AUDIENCES.emailVerification,
+			});
+		} catch {
+			decoded = null;
+		}
+
+		if (!decoded) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid or expired verification token",
+			});
+		}
+
+		const user = await User.findByPk(decoded.userId);
+
+		// The token must be the latest one issued and for the current email
+		if (
+			!user ||
+			!decoded.jti ||
+			user.emailVerificationTokenId !== decoded.jti ||
+			user.email !== decoded.email
+		) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid or expired verification token",
+			});
+		}
+
+		// Mark as verified and consume the token
+		user.emailVerified = true;
+		user.emailVerificationTokenId = null;
+		await user.save();
+
+		return res.status(200).json({
+			success: true,
+			message: "Email verified successfully",
+			data: sanitizeUser(user),
+		});
+	} catch (error) {
+		console.error("Verify email error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to verify email",
+		});
+	}
+};
+
+/**
+ * Send a new verification email
+ *
+ * Always responds with the same message so the endpoint can't be used
+ * to find out which email addresses are registered.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const resendVerification = async (req, res) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.resendVerification.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const user = await User.findOne({
+			where: { email: req.body.email },
+		});
+
+		if (user && !user.emailVerified) {
+			await sendVerificationEmail(user);
+		}
+
+		return res.status(200).json({
+			success: true,
+			message:
+				"If an unverified account exists for this email, a verification link has been sent",
+		});
+	} catch (error) {
+		console.error("Resend verification error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to send verification email",
+		});
+	}
+};
+
+/**
+ * Start the password reset flow by emailing a single-use reset link
+ *
+ * Always responds with the same message so the endpoint can't be used
+ * to find out which email addresses are registered.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const forgotPassword = async (req, res) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.forgotPassword.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const user = await User.findOne({
+			where: { email: req.body.email },
+		});
+
+		if (user) {
+			// Issuing a new token replaces any previous one
+			const resetToken = crypto.randomBytes(32).toString("hex");
+			user.passwordResetTokenHash = hashToken(resetToken);
+			user.passwordResetExpiresAt = new Date(
+				Date.now() + config.auth.passwordResetTtlSeconds * 1000
+			);
+			await user.save();
+
+			const resetUrl = `${config.clientUrl}/reset-password?token=${resetToken}`;
+
+			try {
+				await sendMail({
+					to: user.email,
+					subject: "Reset your password",
+					text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one. The link expires in ${formatDuration(
+						config.auth.passwordResetTtlSeconds
+					)} and can only be used once.\n\n${resetUrl}\n\nIf you did not request a password reset, you can ignore this email.`,
+				});
+			} catch (mailError) {
+				console.error("Password reset email error:", mailError.message);
+			}
+		}
+
+		return res.status(200).json({
+			success: true,
+			message:
+				"If an account exists for this email, a password reset link has been sent",
+		});
+	} catch (error) {
+		console.error("Forgot password error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to process password reset request",
+		});
+	}
+};
+
+/**
+ * Set a new password using a reset token
+ *
+ * Changing the password bumps tokenVersion in the beforeUpdate hook,
+ * which invalidates every refresh token issued before the reset.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const resetPassword = async (req, res) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.resetPassword.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const { token, password } = req.body;
+
+		const user = await User.findOne({
+			where: {
+				passwordResetTokenHash: hashToken(token),
+				passwordResetExpiresAt: { [Op.gt]: new Date() },
+			},
+		});
+
+		if (!user) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid or expired password reset token",
+			});
+		}
+
+		// Update the password and consume the token in one save
+		user.password = password;
+		user.passwordResetTokenHash = null;
+		user.passwordResetExpiresAt = null;
+		// The reset link was delivered to the inbox, which proves ownership
+		user.emailVerified = true;
+		await user.save();
+
+		// Sign out every device and lift any sign-in lockout
+		await Session.destroy({ where: { userId: user.id } });
+		await clearLoginThrottle(getLoginThrottleKeys(req, user.email)[0]);
+
+		return res.status(200).json({
+			success: true,
+			message: "Password has been reset successfully. Please sign in.",
+		});
+	} catch (error) {
+		console.error("Reset password error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to reset password",
+		});
+	}
+};
+
 /**
  * Sign out a user by invalidating their JWT token
  *
  * This implementation:
- * 1. Blacklists the current access token
- * 2. Invalidates the refresh token in the database
- * 3. Increments the token version to invalidate any other refresh tokens
+ * 1. Revokes the current access token in the revocation store
+ * 2. Deletes the current session, which invalidates its refresh token
+ * 3. Clears the auth cookies when cookie mode is used
+ *
+ * Other devices stay signed in - use DELETE /sessions for those.
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const signOut = async (req, res) => {
 	try {
-		// Extract the token from the Authorization header
-		const token = extractToken(req);
+		// Extract the token from the Authorization header or auth cookie
+		const { token } = extractAccessToken(req);
 
 		if (token) {
-			// Add the access token to blacklist
-			tokenBlacklist.add(token);
-
-			// Get token expiry to know how long to keep it in blacklist
 			try {
-				const decoded = jwt.verify(token, "04058abefa84d9a7109e55111830e7e1d01474d8d10e667b8d1b9ba38b55447c");
-				const expiryTimestamp = decoded.exp;
-
-				// Remove from blacklist after expiry
-				// This is to prevent the blacklist from growing indefinitely
-				setTimeout(() => {
-					tokenBlacklist.delete(token);
-				}, expiryTimestamp * 1000 - Date.now());
-
-				// If we have a user ID, invalidate their refresh token
-				if (decoded.userId && req.user) {
-					const user = await User.findByPk(decoded.userId);
-
-					if (user) {
-						// Increment token version to invalidate all refresh tokens
-						user.tokenVersion += 1;
-						// Clear refresh token
-						user.refreshToken = null;
-						await user.save();
-					}
+				const decoded = verifyJwt(token, {
+					audience: TOKEN_AUDIENCES.access,
+				});
+
+				// Revoke the access token until it expires on its own
+				await getRevocationStore().revoke(
+					getRevocationKey(token, decoded),
+					new Date(decoded.exp * 1000)
+				);
+
+				// End the session this token belongs to
+				if (decoded.sessionId && req.user) {
+					await Session.destroy({
+						where: { id: decoded.sessionId, userId: req.user.id },
+					});
+				}
+			} catch (tokenError) {
+				// If token is invalid, no need to revoke it
+				if (
+					tokenError.name !== "JsonWebTokenError" &&
+					tokenError.name !== "TokenExpiredError"
+				) {
+					throw tokenError;
 				}
-			} catch {
-				// If token is invalid, no need to blacklist
 				console.log("Invalid token provided for logout");
 			}
 		}
 
+		// Remove auth cookies in case the client used cookie mode
+		clearAuthCookies(res);
+
 		res.status(200).json({
 			success: true,
 			message: "User signed out successfully",
@@ -298,7 +948,148 @@ export const signOut = async (req, res) => {
 	}
 };
 
-// Export the blacklist to be used in auth middleware
-export const isTokenBlacklisted = (token) => {
-	return tokenBlacklist.has(token);
+/**
+ * Publish the public token verification keys (JWKS)
+ * Other services use these to verify our access tokens by their kid.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getJsonWebKeys = (req, res) => {
+	// Short cache so newly added keys are picked up soon after a rotation
+	res.setHeader("Cache-Control", "public, max-age=300");
+	return res.status(200).json(getJwks());
+};
+
+/**
+ * Return the current CSRF token of a cookie mode client
+ *
+ * Cross-site frontends can't read the csrf_token cookie, so after a page
+ * reload they fetch it here. CORS keeps other origins from reading it.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCsrfToken = (req, res) => {
+	const csrfToken = req.cookies?.[CSRF_TOKEN_COOKIE];
+
+	if (!csrfToken) {
+		return res.status(404).json({
+			success: false,
+			message: "No CSRF token. Please log in again.",
+		});
+	}
+
+	return res.status(200).json({
+		success: true,
+		message: "CSRF token fetched successfully",
+		data: { csrfToken },
+	});
+};
+
+/**
+ * List the signed-in devices of the current user
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSessions = async (req, res) => {
+	try {
+		const sessions = await Session.findAll({
+			where: {
+				userId: req.user.id,
+				expiresAt: { [Op.gt]: new Date() },
+			},
+			order: [["last_used_at", "DESC"]],
+		});
+
+		return res.status(200).json({
+			success: true,
+			message: "Sessions fetched successfully",
+			data: sessions.map((session) =>
+				formatSession(session, req.sessionId)
+			),
+		});
+	} catch (error) {
+		console.error("Get sessions error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to fetch sessions",
+		});
+	}
+};
+
+/**
+ * Revoke one session of the current user (sign out that device)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeSession = async (req, res) => {
+	try {
+		const deleted = await Session.destroy({
+			where: { id: req.params.id, userId: req.user.id },
+		});
+
+		if (!deleted) {
+			return res.status(404).json({
+				success: false,
+				message: "Session not found",
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: "Session revoked successfully",
+		});
+	} catch (error) {
+		console.error("Revoke session error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to revoke session",
+		});
+	}
+};
+
+/**
+ * Revoke every session of the current user except the current one
+ * (sign out everywhere else)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeOtherSessions = async (req, res) => {
+	try {
+		const where = { userId: req.user.id };
+		if (req.sessionId) {
+			where.id = { [Op.ne]: req.sessionId };
+		}
+
+		const revoked = await Session.destroy({ where });
+
+		return res.status(200).json({
+			success: true,
+			message: "Signed out of all other sessions",
+			data: { revoked },
+		});
+	} catch (error) {
+		console.error("Revoke sessions error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to revoke sessions",
+		});
+	}
+};
+
+/**
+ * Check whether an access token has been revoked
+ * Used by the auth middleware - backed by the durable revocation store
+ *
+ * @param {string} token - Raw access token
+ * @returns {Promise<boolean>} True if the token was revoked
+ */
+export const isTokenBlacklisted = async (token) => {
+	return getRevocationStore().isRevoked(
+		getRevocationKey(token, jwt.decode(token))
+	);
 };
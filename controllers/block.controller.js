@@ -0,0 +1,197 @@
+import { Op } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+import { Block } from "../model/block.model.js";
+import { Follow } from "../model/follow.model.js";
+import { Mute } from "../model/mute.model.js";
+import { User } from "../model/user.model.js";
+
+/**
+ * Find the user to block or mute
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Target user
+ * @throws {Error} 400 for the own account, 404 if the user doesn't exist
+ */
+const findTargetUser = async (req) => {
+	if (req.params.id === req.user.id) {
+		const error = new Error("You can't do this to your own account");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const user = await User.scope("visible").findByPk(req.params.id, {
+		attributes: ["id"],
+	});
+
+	if (!user) {
+		const error = new Error("User not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	return user;
+};
+
+// Short public info about a blocked or muted user
+const formatListedUser = (user, since) => ({
+	id: user.id,
+	name: user.name,
+	handle: user.handle,
+	profilePictureUrl: `/api/v1/users/${user.id}/profile-picture`,
+	since,
+});
+
+// Block a user - requires authentication
+// Follows in both directions are removed, the user can't see the profile anymore
+export const blockUser = async (req, res, next) => {
+	try {
+		const user = await findTargetUser(req);
+
+		const created = await sequelize.transaction(async (transaction) => {
+			const [, wasCreated] = await Block.findOrCreate({
+				where: { blockerId: req.user.id, blockedId: user.id },
+				transaction,
+			});
+
+			await Follow.destroy({
+				where: {
+					[Op.or]: [
+						{ followerId: req.user.id, followingId: user.id },
+						{ followerId: user.id, followingId: req.user.id },
+					],
+				},
+				transaction,
+			});
+
+			return wasCreated;
+		});
+
+		res.status(created ? 201 : 200).json({
+			success: true,
+			message: created
+				? "User blocked successfully"
+				: "You already blocked this user",
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Unblock a user - requires authentication
+export const unblockUser = async (req, res, next) => {
+	try {
+		const removed = await Block.destroy({
+			where: { blockerId: req.user.id, blockedId: req.params.id },
+		});
+
+		if (!removed) {
+			const error = new Error("You haven't blocked this user");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "User unblocked successfully",
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Get own blocked users - requires authentication
+export const getBlockedUsers = async (req, res, next) => {
+	try {
+		const blocks = await Block.findAll({
+			where: { blockerId: req.user.id },
+			include: [
+				{
+					model: User,
+					as: "blocked",
+					attributes: ["id", "name", "handle"],
+				},
+			],
+			order: [["created_at", "DESC"]],
+		});
+
+		res.status(200).json({
+			success: true,
+			message: "Blocked users fetched successfully",
+			data: blocks.map((block) =>
+				formatListedUser(block.blocked, block.createdAt)
+			),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Mute a user - requires authentication
+// Their content is hidden from the own views, they are not notified
+export const muteUser = async (req, res, next) => {
+	try {
+		const user = await findTargetUser(req);
+
+		const [, created] = await Mute.findOrCreate({
+			where: { muterId: req.user.id, mutedId: user.id },
+		});
+
+		res.status(created ? 201 : 200).json({
+			success: true,
+			message: created
+				? "User muted successfully"
+				: "You already muted this user",
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Unmute a user - requires authentication
+export const unmuteUser = async (req, res, next) => {
+	try {
+		const removed = await Mute.destroy({
+			where: { muterId: req.user.id, mutedId: req.params.id },
+		});
+
+		if (!removed) {
+			const error = new Error("You haven't muted this user");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "User unmuted successfully",
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Get own muted users - requires authentication
+export const getMutedUsers = async (req, res, next) => {
+	try {
+		const mutes = await Mute.findAll({
+			where: { muterId: req.user.id },
+			include: [
+				{
+					model: User,
+					as: "muted",
+					attributes: ["id", "name", "handle"],
+				},
+			],
+			order: [["created_at", "DESC"]],
+		});
+
+		res.status(200).json({
+			success: true,
+			message: "Muted users fetched successfully",
+			data: mutes.map((mute) =>
+				formatListedUser(mute.muted, mute.createdAt)
+			),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
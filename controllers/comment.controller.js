@@ -0,0 +1,310 @@
+import { Op, Sequelize } from "sequelize";
+import config from "../config/env.config.js";
+import { Comment } from "../model/comment.model.js";
+import { Content } from "../model/content.model.js";
+import { User, userValidation } from "../model/user.model.js";
+import { getHiddenUserIds, isBlockedBetween } from "../utils/block.util.js";
+import { findViewableContent, isContentId } from "../utils/content.util.js";
+
+// Number of replies to a top-level comment
+const replyCount = Sequelize.literal(
+	'(SELECT COUNT(*)::int FROM comments AS replies WHERE replies.parent_id = "Comment"."id")'
+);
+
+// Serialize a comment for the client
+const formatComment = (comment) => ({
+	id: comment.id,
+	contentId: comment.contentId,
+	parentId: comment.parentId,
+	body: comment.body,
+	createdAt: comment.createdAt,
+	editedAt: comment.editedAt,
+	author: {
+		id: comment.author.id,
+		name: comment.author.name,
+		handle: comment.author.handle,
+		profilePictureUrl: `/api/v1/users/${comment.author.id}/profile-picture`,
+	},
+	...(comment.parentId === null && {
+		replyCount: comment.get("replyCount") || 0,
+	}),
+});
+
+/**
+ * Find a comment on the content item from the route
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Comment
+ * @throws {Error} 404 if there is no such comment
+ */
+const findComment = async (req) => {
+	const { id: contentId, commentId } = req.params;
+	const comment =
+		isContentId(contentId) && isContentId(commentId)
+			? await Comment.findOne({ where: { id: commentId, contentId } })
+			: null;
+
+	if (!comment) {
+		const error = new Error("Comment not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	return comment;
+};
+
+/**
+ * Page through the comments on a content item, oldest first
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string|null} parentId - Comment to list the replies of, null for
+ *   the top-level comments
+ */
+const listCommentPage = async (req, res, parentId) => {
+	// Validate query parameters
+	const { error } = userValidation.listComments.validate(req.query);
+	if (error) {
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+
+	const page = parseInt(req.query.page) || 1;
+	const limit = parseInt(req.query.limit) || 20;
+	const offset = (page - 1) * limit;
+
+	// Comments of suspended and deleted accounts are hidden, signed-in
+	// users don't see users they muted or blocked
+	const viewerId = req.user ? req.user.id : null;
+	const hiddenUserIds = await getHiddenUserIds(viewerId);
+
+	const { count: total, rows: comments } = await Comment.findAndCountAll({
+		attributes: {
+			include: parentId === null ? [[replyCount, "replyCount"]] : [],
+		},
+		where: { contentId: req.params.id, parentId },
+		include: [
+			{
+				model: User.scope("visible"),
+				as: "author",
+				attributes: ["id", "name", "handle"],
+				required: true,
+				...(hiddenUserIds.length > 0 && {
+					where: { id: { [Op.notIn]: hiddenUserIds } },
+				}),
+			},
+		],
+		limit: limit,
+		offset: offset,
+		order: [
+			["created_at", "ASC"],
+			["id", "ASC"],
+		],
+	});
+
+	res.status(200).json({
+		success: true,
+		message:
+			parentId === null
+				? "Comments fetched successfully"
+				: "Replies fetched successfully",
+		data: comments.map(formatComment),
+		pagination: {
+			total: total,
+			limit: limit,
+			totalPages: Math.ceil(total / limit),
+			currentPage: page,
+			hasNextPage: offset + limit < total,
+			hasPreviousPage: page > 1,
+			nextPage: offset + limit < total ? page + 1 : null,
+			previousPage: page > 1 ? page - 1 : null,
+		},
+	});
+};
+
+// Get the top-level comments on a content item
+export const getComments = async (req, res, next) => {
+	try {
+		await findViewableContent(req.params.id, req.user ? req.user.id : null);
+		await listCommentPage(req, res, null);
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Get the replies to a top-level comment
+export const getReplies = async (req, res, next) => {
+	try {
+		await findViewableContent(req.params.id, req.user ? req.user.id : null);
+		const comment = await findComment(req);
+
+		if (comment.parentId !== null) {
+			return res.status(400).json({
+				success: false,
+				message: "Replies don't have replies",
+			});
+		}
+
+		await listCommentPage(req, res, comment.id);
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Comment on a content item or reply to a comment - requires authentication
+export const createComment = async (req, res, next) => {
+	try {
+		// Validate request body using Joi
+		const { error, value } = userValidation.createComment.validate(
+			req.body
+		);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		// Users who blocked each other can't comment on each other's content
+		const content = await findViewableContent(req.params.id, req.user.id);
+		const { body, parentId } = value;
+
+		if (parentId) {
+			const parent = await Comment.findOne({
+				where: { id: parentId, contentId: content.id },
+			});
+
+			if (!parent) {
+				const error = new Error("Comment not found");
+				error.statusCode = 404;
+				throw error;
+			}
+
+			// Only one level of replies
+			if (parent.parentId !== null) {
+				return res.status(400).json({
+					success: false,
+					message: "Replies can only be added to top-level comments",
+				});
+			}
+
+			if (await isBlockedBetween(req.user.id, parent.userId)) {
+				return res.status(403).json({
+					success: false,
+					message: "You can't reply to this comment",
+				});
+			}
+		}
+
+		const comment = await Comment.create({
+			contentId: content.id,
+			userId: req.user.id,
+			parentId: parentId || null,
+			body,
+		});
+		comment.author = await User.findByPk(req.user.id, {
+			attributes: ["id", "name", "handle"],
+		});
+
+		res.status(201).json({
+			success: true,
+			message: parentId
+				? "Reply added successfully"
+				: "Comment added successfully",
+			data: formatComment(comment),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Edit own comment - requires authentication
+// Only possible for a while after posting, so replies keep their context
+export const updateComment = async (req, res, next) => {
+	try {
+		// Validate request body using Joi
+		const { error, value } = userValidation.updateComment.validate(
+			req.body
+		);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const comment = await findComment(req);
+
+		if (comment.userId !== req.user.id) {
+			return res.status(403).json({
+				success: false,
+				message: "You can only edit your own comments",
+			});
+		}
+
+		const windowMinutes = config.content.commentEditWindowMinutes;
+		const editableUntil = new Date(
+			comment.createdAt.getTime() + windowMinutes * 60 * 1000
+		);
+		if (new Date() > editableUntil) {
+			return res.status(403).json({
+				success: false,
+				message: `Comments can only be edited within ${windowMinutes} minutes`,
+			});
+		}
+
+		comment.body = value.body;
+		comment.editedAt = new Date();
+		await comment.save();
+
+		comment.author = await User.findByPk(comment.userId, {
+			attributes: ["id", "name", "handle"],
+		});
+		if (comment.parentId === null) {
+			comment.setDataValue(
+				"replyCount",
+				await Comment.count({ where: { parentId: comment.id } })
+			);
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Comment updated successfully",
+			data: formatComment(comment),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Delete a comment - requires authentication
+// The author and the owner of the content can delete it, replies go with it
+export const deleteComment = async (req, res, next) => {
+	try {
+		const comment = await findComment(req);
+
+		if (comment.userId !== req.user.id) {
+			const content = await Content.findByPk(comment.contentId, {
+				attributes: ["userId"],
+			});
+
+			if (!content || content.userId !== req.user.id) {
+				return res.status(403).json({
+					success: false,
+					message: "You can't delete this comment",
+				});
+			}
+		}
+
+		await comment.destroy();
+
+		res.status(200).json({
+			success: true,
+			message: "Comment deleted successfully",
+		});
+	} catch (error) {
+		next(error);
+	}
+};
@@ -0,0 +1,67 @@
+import { ContentLike } from "../model/content-like.model.js";
+import { findViewableContent, isContentId } from "../utils/content.util.js";
+
+/**
+ * Like stats of a content item
+ *
+ * @param {string} contentId - Content item
+ * @param {string} viewerId - Signed-in user
+ * @returns {Promise<{ likeCount: number, likedByMe: boolean }>} Stats
+ */
+const getLikeStats = async (contentId, viewerId) => {
+	const [likeCount, liked] = await Promise.all([
+		ContentLike.count({ where: { contentId } }),
+		ContentLike.findOne({
+			where: { contentId, userId: viewerId },
+			attributes: ["contentId"],
+		}),
+	]);
+
+	return { likeCount, likedByMe: !!liked };
+};
+
+// Like a content item - requires authentication
+export const likeContent = async (req, res, next) => {
+	try {
+		const content = await findViewableContent(req.params.id, req.user.id);
+
+		const [, created] = await ContentLike.findOrCreate({
+			where: { contentId: content.id, userId: req.user.id },
+		});
+
+		res.status(created ? 201 : 200).json({
+			success: true,
+			message: created
+				? "Content liked successfully"
+				: "You already like this content",
+			data: await getLikeStats(content.id, req.user.id),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Remove the like from a content item - requires authentication
+export const unlikeContent = async (req, res, next) => {
+	try {
+		const removed = isContentId(req.params.id)
+			? await ContentLike.destroy({
+					where: { contentId: req.params.id, userId: req.user.id },
+			  })
+			: 0;
+
+		if (!removed) {
+			const error = new Error("You haven't liked this content");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Like removed successfully",
+			data: await getLikeStats(req.params.id, req.user.id),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
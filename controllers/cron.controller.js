@@ -0,0 +1,16 @@
+import { purgeDeletedAccounts } from "../utils/account.util.js";
+
+// Permanently delete accounts whose deletion grace period has ended
+export const purgeDeletedAccountsJob = async (req, res, next) => {
+	try {
+		const purged = await purgeDeletedAccounts();
+
+		res.status(200).json({
+			success: true,
+			message: "Deleted accounts purged successfully",
+			data: { purged },
+		});
+	} catch (error) {
+		next(error);
+	}
+};
@@ -0,0 +1,128 @@
+import { Op } from "sequelize";
+import { Content } from "../model/content.model.js";
+import { Follow } from "../model/follow.model.js";
+import { userValidation } from "../model/user.model.js";
+import { getHiddenUserIds } from "../utils/block.util.js";
+import {
+	CONTENT_ITEM_ATTRIBUTES,
+	getLikedContentIds,
+	includeAuthor,
+	isContentId,
+	toContentItems,
+} from "../utils/content.util.js";
+
+/**
+ * Cursors point at the last item of a page - its timestamp and id, so items
+ * added in the meantime don't shift the following pages
+ */
+const encodeCursor = (item) =>
+	Buffer.from(JSON.stringify({ addedAt: item.addedAt, id: item.id })).toString(
+		"base64url"
+	);
+
+const decodeCursor = (cursor) => {
+	try {
+		const { addedAt, id } = JSON.parse(
+			Buffer.from(cursor, "base64url").toString("utf8")
+		);
+		const date = new Date(addedAt);
+
+		if (Number.isNaN(date.getTime()) || !isContentId(id)) {
+			return null;
+		}
+		return { addedAt: date, id };
+	} catch {
+		return null;
+	}
+};
+
+// Content that comes after the cursor in newest-first order
+const afterCursor = (cursor) => ({
+	[Op.or]: [
+		{ addedAt: { [Op.lt]: cursor.addedAt } },
+		{ addedAt: cursor.addedAt, id: { [Op.lt]: cursor.id } },
+	],
+});
+
+// Get the home feed - requires authentication
+// Content from followed users, or everyone's content when following nobody
+export const getFeed = async (req, res, next) => {
+	try {
+		// Validate query parameters
+		const { error } = userValidation.getFeed.validate(req.query);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const limit = parseInt(req.query.limit) || 10;
+		const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+		if (req.query.cursor && !cursor) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid cursor",
+			});
+		}
+
+		// Pending requests to private profiles don't count yet
+		const follows = await Follow.findAll({
+			where: { followerId: req.user.id, status: "accepted" },
+			attributes: ["followingId"],
+		});
+		const followingIds = follows.map((follow) => follow.followingId);
+		const source = followingIds.length > 0 ? "following" : "global";
+
+		// Muted and blocked users never show up
+		const hiddenUserIds = await getHiddenUserIds(req.user.id);
+
+		// One extra row tells whether there is a next page
+		const contents = await Content.findAll({
+			attributes: CONTENT_ITEM_ATTRIBUTES,
+			where: cursor ? afterCursor(cursor) : {},
+			include: [
+				includeAuthor({
+					// Private profiles only show up for their followers
+					...(source === "following"
+						? { id: followingIds }
+						: { privateProfile: false }),
+					...(hiddenUserIds.length > 0 && {
+						[Op.and]: [{ id: { [Op.notIn]: hiddenUserIds } }],
+					}),
+				}),
+			],
+			// Newest first, ties broken by id so the order is stable
+			order: [
+				["addedAt", "DESC"],
+				["id", "DESC"],
+			],
+			limit: limit + 1,
+		});
+
+		const pageContents = contents.slice(0, limit);
+		const likedIds = await getLikedContentIds(
+			req.user.id,
+			pageContents.map((content) => content.id)
+		);
+		const items = toContentItems(pageContents, likedIds);
+		const hasNextPage = contents.length > limit;
+
+		res.status(200).json({
+			success: true,
+			message: "Feed fetched successfully",
+			data: items,
+			source,
+			pagination: {
+				limit,
+				hasNextPage,
+				nextCursor: hasNextPage
+					? encodeCursor(items[items.length - 1])
+					: null,
+			},
+		});
+	} catch (error) {
+		next(error);
+	}
+};
@@ -0,0 +1,365 @@
+import { Follow } from "../model/follow.model.js";
+import {
+	PRIVATE_ATTRIBUTES,
+	User,
+	userValidation,
+} from "../model/user.model.js";
+import { isBlockedBetween } from "../utils/block.util.js";
+import { includeYoutubeLinks } from "../utils/content.util.js";
+import {
+	canViewProfileContent,
+	getApprovedFollowingIds,
+	toVisibleProfile,
+} from "../utils/privacy.util.js";
+
+/**
+ * Count the visible followers and followed users of a user
+ * Suspended and deleted accounts and pending requests are left out, like in
+ * the lists.
+ *
+ * @param {string} userId - User to count for
+ * @returns {Promise<{ followersCount: number, followingCount: number }>} Counts
+ */
+const countFollows = async (userId) => {
+	const [followersCount, followingCount] = await Promise.all([
+		Follow.count({
+			where: { followingId: userId, status: "accepted" },
+			include: [
+				{
+					model: User.scope("visible"),
+					as: "follower",
+					attributes: [],
+					required: true,
+				},
+			],
+		}),
+		Follow.count({
+			where: { followerId: userId, status: "accepted" },
+			include: [
+				{
+					model: User.scope("visible"),
+					as: "following",
+					attributes: [],
+					required: true,
+				},
+			],
+		}),
+	]);
+
+	return { followersCount, followingCount };
+};
+
+/**
+ * Follower stats shown on a profile
+ * isFollowing and followRequested are only included when someone else is
+ * looking at the profile.
+ *
+ * @param {string} userId - Profile owner
+ * @param {string|null} viewerId - Signed-in user, if any
+ * @returns {Promise<Object>} followersCount, followingCount and the viewer's follow state
+ */
+export const getFollowStats = async (userId, viewerId = null) => {
+	const stats = await countFollows(userId);
+
+	if (viewerId && viewerId !== userId) {
+		const follow = await Follow.findOne({
+			where: { followerId: viewerId, followingId: userId },
+			attributes: ["status"],
+		});
+		stats.isFollowing = !!follow && follow.status === "accepted";
+		stats.followRequested = !!follow && follow.status === "pending";
+	}
+
+	return stats;
+};
+
+/**
+ * Find a user that can be followed or whose lists can be seen
+ *
+ * @param {string} userId - User ID from the route
+ * @returns {Promise<Object>} User
+ * @throws {Error} 404 if the user is hidden or doesn't exist
+ */
+const findVisibleUser = async (userId) => {
+	const user = await User.scope("visible").findByPk(userId, {
+		attributes: ["id", "privateProfile"],
+	});
+
+	if (!user) {
+		const error = new Error("User not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	return user;
+};
+
+/**
+ * Page through one side of a user's follow relationships
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {"follower"|"following"} side - Users to list
+ */
+const listFollows = async (req, res, side) => {
+	// Validate query parameters
+	const { error } = userValidation.listFollows.validate(req.query);
+	if (error) {
+		return res.status(400).json({
+			success: false,
+			message: error.details[0].message,
+		});
+	}
+
+	const user = await findVisibleUser(req.params.id);
+
+	// The social graph of a private profile is only shown to approved followers
+	if (!(await canViewProfileContent(user, req.user ? req.user.id : null))) {
+		return res.status(403).json({
+			success: false,
+			message: "This profile is private",
+		});
+	}
+
+	const page = parseInt(req.query.page) || 1;
+	const limit = parseInt(req.query.limit) || 10;
+	const offset = (page - 1) * limit;
+
+	// Followers of the user, or the users the user follows
+	const where =
+		side === "follower"
+			? { followingId: user.id, status: "accepted" }
+			: { followerId: user.id, status: "accepted" };
+
+	const { count: total, rows: follows } = await Follow.findAndCountAll({
+		where,
+		include: [
+			{
+				model: User.scope("visible"),
+				as: side,
+				attributes: { exclude: PRIVATE_ATTRIBUTES },
+				required: true,
+				include: [includeYoutubeLinks()],
+			},
+		],
+		limit: limit,
+		offset: offset,
+		order: [["created_at", "DESC"]],
+	});
+
+	// Apply the privacy settings of the listed users
+	const viewerId = req.user ? req.user.id : null;
+	const followedIds = await getApprovedFollowingIds(
+		viewerId,
+		follows.map((follow) => follow[side].id)
+	);
+
+	// Add profile picture URLs and when the follow started
+	const users = follows.map((follow) => {
+		const listedUser = follow[side];
+		const userData = toVisibleProfile(listedUser, {
+			viewerId,
+			canViewContent:
+				!listedUser.privateProfile || followedIds.has(listedUser.id),
+		});
+		userData.profilePictureUrl = `/api/v1/users/${userData.id}/profile-picture`;
+		userData.followedAt = follow.createdAt;
+		return userData;
+	});
+
+	res.status(200).json({
+		success: true,
+		message:
+			side === "follower"
+				? "Followers fetched successfully"
+				: "Followed users fetched successfully",
+		data: users,
+		pagination: {
+			total: total,
+			limit: limit,
+			totalPages: Math.ceil(total / limit),
+			currentPage: page,
+			hasNextPage: offset + limit < total,
+			hasPreviousPage: page > 1,
+			nextPage: offset + limit < total ? page + 1 : null,
+			previousPage: page > 1 ? page - 1 : null,
+		},
+	});
+};
+
+// Follow a user - requires authentication
+// Following a private profile sends a follow request instead
+export const followUser = async (req, res, next) => {
+	try {
+		if (req.params.id === req.user.id) {
+			return res.status(400).json({
+				success: false,
+				message: "You can't follow yourself",
+			});
+		}
+
+		const user = await findVisibleUser(req.params.id);
+
+		if (await isBlockedBetween(req.user.id, user.id)) {
+			return res.status(403).json({
+				success: false,
+				message: "You can't follow this user",
+			});
+		}
+
+		const [follow, created] = await Follow.findOrCreate({
+			where: { followerId: req.user.id, followingId: user.id },
+			defaults: { status: user.privateProfile ? "pending" : "accepted" },
+		});
+
+		const messages = {
+			accepted: created
+				? "User followed successfully"
+				: "You already follow this user",
+			pending: created
+				? "Follow request sent"
+				: "Follow request already sent",
+		};
+
+		res.status(created ? 201 : 200).json({
+			success: true,
+			message: messages[follow.status],
+			data: await getFollowStats(user.id, req.user.id),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Unfollow a user or cancel a follow request - requires authentication
+export const unfollowUser = async (req, res, next) => {
+	try {
+		const follow = await Follow.findOne({
+			where: { followerId: req.user.id, followingId: req.params.id },
+		});
+
+		if (!follow) {
+			const error = new Error("You don't follow this user");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		await follow.destroy();
+
+		res.status(200).json({
+			success: true,
+			message:
+				follow.status === "pending"
+					? "Follow request cancelled"
+					: "User unfollowed successfully",
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Get the followers of a user
+export const getFollowers = async (req, res, next) => {
+	try {
+		await listFollows(req, res, "follower");
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Get the users a user follows
+export const getFollowing = async (req, res, next) => {
+	try {
+		await listFollows(req, res, "following");
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Get pending follow requests for own profile - requires authentication
+export const getFollowRequests = async (req, res, next) => {
+	try {
+		const requests = await Follow.findAll({
+			where: { followingId: req.user.id, status: "pending" },
+			include: [
+				{
+					model: User.scope("visible"),
+					as: "follower",
+					attributes: ["id", "name", "handle"],
+					required: true,
+				},
+			],
+			order: [["created_at", "DESC"]],
+		});
+
+		res.status(200).json({
+			success: true,
+			message: "Follow requests fetched successfully",
+			data: requests.map((request) => ({
+				user: {
+					...request.follower.toJSON(),
+					profilePictureUrl: `/api/v1/users/${request.followerId}/profile-picture`,
+				},
+				requestedAt: request.createdAt,
+			})),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Find a pending follow request to the signed-in user
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Follow request
+ * @throws {Error} 404 if there is no such request
+ */
+const findFollowRequest = async (req) => {
+	const request = await Follow.findOne({
+		where: {
+			followerId: req.params.id,
+			followingId: req.user.id,
+			status: "pending",
+		},
+	});
+
+	if (!request) {
+		const error = new Error("Follow request not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	return request;
+};
+
+// Approve a follow request - requires authentication
+export const approveFollowRequest = async (req, res, next) => {
+	try {
+		const request = await findFollowRequest(req);
+		request.status = "accepted";
+		await request.save();
+
+		res.status(200).json({
+			success: true,
+			message: "Follow request approved",
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Decline a follow request - requires authentication
+export const declineFollowRequest = async (req, res, next) => {
+	try {
+		const request = await findFollowRequest(req);
+		await request.destroy();
+
+		res.status(200).json({
+			success: true,
+			message: "Follow request declined",
+		});
+	} catch (error) {
+		next(error);
+	}
+};
@@ -0,0 +1,293 @@
+import crypto from "crypto";
+import config from "../config/env.config.js";
+import { User, userValidation } from "../model/user.model.js";
+import {
+	buildOtpauthUri,
+	generateTotpSecret,
+	verifyTotp,
+} from "../utils/totp.util.js";
+
+// Number of one-time recovery codes issued at a time
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared case-insensitively and without dashes
+const hashRecoveryCode = (code) =>
+	crypto
+		.createHash("sha256")
+		.update(code.toLowerCase().replace(/[\s-]/g, ""))
+		.digest("hex");
+
+// Generate a fresh set of recovery codes, e.g. "3f9a-c27e-81bd"
+const generateRecoveryCodes = () => {
+	const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+		crypto
+			.randomBytes(6)
+			.toString("hex")
+			.match(/.{4}/g)
+			.join("-")
+	);
+
+	return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check a TOTP code or recovery code for a user with 2FA enabled
+ *
+ * Accepted codes are consumed: the TOTP time step is remembered so the same
+ * code can't be replayed, and a recovery code is removed from the list.
+ *
+ * @param {Object} user - User object from database (with 2FA attributes)
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>} True if the code was valid
+ */
+export const verifyTwoFactorCode = async (user, code) => {
+	if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+		return false;
+	}
+
+	const step = verifyTotp(user.twoFactorSecret, code, {
+		afterStep: user.twoFactorLastStep ?? -1,
+	});
+
+	if (step !== null) {
+		user.twoFactorLastStep = step;
+		await user.save();
+		return true;
+	}
+
+	const hash = hashRecoveryCode(code);
+	const recoveryCodes = user.twoFactorRecoveryCodes || [];
+
+	if (recoveryCodes.includes(hash)) {
+		user.twoFactorRecoveryCodes = recoveryCodes.filter(
+			(recoveryCode) => recoveryCode !== hash
+		);
+		await user.save();
+		return true;
+	}
+
+	return false;
+};
+
+/**
+ * Start 2FA enrollment by generating a secret for the authenticator app
+ * 2FA is only enabled once a valid code is confirmed.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const enrollTwoFactor = async (req, res) => {
+	try {
+		const user = await User.findByPk(req.user.id);
+
+		if (user.twoFactorEnabled) {
+			return res.status(409).json({
+				success: false,
+				message: "Two-factor authentication is already enabled",
+			});
+		}
+
+		const secret = generateTotpSecret();
+		user.twoFactorPendingSecret = secret;
+		await user.save();
+
+		return res.status(200).json({
+			success: true,
+			message:
+				"Scan the QR code with your authenticator app and confirm with a code",
+			data: {
+				secret,
+				otpauthUri: buildOtpauthUri({
+					secret,
+					accountName: user.email,
+					issuer: config.auth.totpIssuer,
+				}),
+			},
+		});
+	} catch (error) {
+		console.error("2FA enroll error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to start two-factor enrollment",
+		});
+	}
+};
+
+/**
+ * Confirm 2FA enrollment with a code from the authenticator app
+ * Returns the recovery codes - this is the only time they are shown.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const confirmTwoFactor = async (req, res) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.twoFactorCode.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const user = await User.findByPk(req.user.id);
+
+		if (user.twoFactorEnabled) {
+			return res.status(409).json({
+				success: false,
+				message: "Two-factor authentication is already enabled",
+			});
+		}
+
+		if (!user.twoFactorPendingSecret) {
+			return res.status(400).json({
+				success: false,
+				message: "Start two-factor enrollment first",
+			});
+		}
+
+		const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+		if (step === null) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid authentication code",
+			});
+		}
+
+		const { codes, hashes } = generateRecoveryCodes();
+
+		user.twoFactorEnabled = true;
+		user.twoFactorSecret = user.twoFactorPendingSecret;
+		user.twoFactorPendingSecret = null;
+		user.twoFactorLastStep = step;
+		user.twoFactorRecoveryCodes = hashes;
+		await user.save();
+
+		return res.status(200).json({
+			success: true,
+			message:
+				"Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+			data: { recoveryCodes: codes },
+		});
+	} catch (error) {
+		console.error("2FA confirm error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to enable two-factor authentication",
+		});
+	}
+};
+
+/**
+ * Disable 2FA - requires the password and a valid code or recovery code
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const disableTwoFactor = async (req, res) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.disableTwoFactor.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const user = await User.findByPk(req.user.id);
+
+		if (!user.twoFactorEnabled) {
+			return res.status(400).json({
+				success: false,
+				message: "Two-factor authentication is not enabled",
+			});
+		}
+
+		const isPasswordCorrect = await user.comparePassword(req.body.password);
+		if (!isPasswordCorrect) {
+			return res.status(401).json({
+				success: false,
+				message: "Invalid password",
+			});
+		}
+
+		if (!(await verifyTwoFactorCode(user, req.body.code))) {
+			return res.status(401).json({
+				success: false,
+				message: "Invalid authentication code",
+			});
+		}
+
+		user.twoFactorEnabled = false;
+		user.twoFactorSecret = null;
+		user.twoFactorPendingSecret = null;
+		user.twoFactorLastStep = null;
+		user.twoFactorRecoveryCodes = [];
+		await user.save();
+
+		return res.status(200).json({
+			success: true,
+			message: "Two-factor authentication disabled",
+		});
+	} catch (error) {
+		console.error("2FA disable error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to disable two-factor authentication",
+		});
+	}
+};
+
+/**
+ * Replace the recovery codes - requires a valid code
+ * Any unused codes from the previous set stop working.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.twoFactorCode.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const user = await User.findByPk(req.user.id);
+
+		if (!user.twoFactorEnabled) {
+			return res.status(400).json({
+				success: false,
+				message: "Two-factor authentication is not enabled",
+			});
+		}
+
+		if (!(await verifyTwoFactorCode(user, req.body.code))) {
+			return res.status(401).json({
+				success: false,
+				message: "Invalid authentication code",
+			});
+		}
+
+		const { codes, hashes } = generateRecoveryCodes();
+		user.twoFactorRecoveryCodes = hashes;
+		await user.save();
+
+		return res.status(200).json({
+			success: true,
+			message: "Recovery codes regenerated",
+			data: { recoveryCodes: codes },
+		});
+	} catch (error) {
+		console.error("2FA recovery codes error:", error.message);
+		return res.status(500).json({
+			success: false,
+			message: "Failed to regenerate recovery codes",
+		});
+	}
+};
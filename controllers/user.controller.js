@@ -1,26 +1,166 @@
+import archiver from "archiver";
 import fs from "fs";
 import path from "path";
-import { Op } from "sequelize";
-import { User, userValidation } from "../model/user.model.js";
+import { Op, Sequelize } from "sequelize";
+import config from "../config/env.config.js";
+import { sequelize } from "../database/postgresql.js";
+import { Content, CONTENT_ATTRIBUTES } from "../model/content.model.js";
+import { Follow } from "../model/follow.model.js";
+import { HandleRedirect } from "../model/handle-redirect.model.js";
+import { Session } from "../model/session.model.js";
+import {
+	buildTokenResponse,
+	generateTokens,
+	sendVerificationEmail,
+} from "./auth.controller.js";
+import { getFollowStats } from "./follow.controller.js";
+import { verifyTwoFactorCode } from "./two-factor.controller.js";
+import {
+	PRIVATE_ATTRIBUTES,
+	User,
+	userValidation,
+} from "../model/user.model.js";
+import {
+	ACCOUNT_DELETION_GRACE_DAYS,
+	removeProfilePictureFile,
+} from "../utils/account.util.js";
+import { getHiddenUserIds, isBlockedBetween } from "../utils/block.util.js";
+import {
+	CONTENT_ITEM_ATTRIBUTES,
+	getLikedContentIds,
+	includeAuthor,
+	includeYoutubeLinks,
+	isContentId,
+	likeCount,
+	toContentItems,
+	toYoutubeLink,
+} from "../utils/content.util.js";
+import { isHandleAvailable, isReservedHandle } from "../utils/handle.util.js";
+import {
+	PRIVACY_SETTINGS,
+	canViewProfileContent,
+	getApprovedFollowingIds,
+	toVisibleProfile,
+} from "../utils/privacy.util.js";
+import { escapeLike } from "../utils/search.util.js";
+import { parseYoutubeUrl } from "../utils/youtube.util.js";
+
+// Number of videos on a profile
+const contentCount = Sequelize.literal(
+	'(SELECT COUNT(*) FROM contents WHERE contents.user_id = "User"."id")'
+);
+
+// Sort orders of the user directory - ties fall back to the newest account
+const DIRECTORY_ORDER = {
+	newest: [["created_at", "DESC"]],
+	name: [
+		[Sequelize.fn("LOWER", Sequelize.col("name")), "ASC"],
+		["created_at", "DESC"],
+	],
+	"most-content": [
+		[contentCount, "DESC"],
+		["created_at", "DESC"],
+	],
+};
+
+// Sort orders of the content list - ties are broken by id so pages are stable
+const CONTENT_ORDER = {
+	newest: [
+		["addedAt", "DESC"],
+		["id", "DESC"],
+	],
+	oldest: [
+		["addedAt", "ASC"],
+		["id", "ASC"],
+	],
+	popular: [
+		[likeCount, "DESC"],
+		["addedAt", "DESC"],
+		["id", "DESC"],
+	],
+};
 
 export const getUsers = async (req, res, next) => {
 	try {
+		// Validate query parameters
+		const { error, value: query } = userValidation.getUsers.validate(
+			req.query
+		);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
 		const page = parseInt(req.query.page) || 1;
 		const limit = parseInt(req.query.limit) || 10;
 		const offset = (page - 1) * limit;
+		const { q, location, hasContent, sort = "newest" } = query;
+
+		// Users can opt out of the directory
+		const where = { hideFromDirectory: false };
+		const conditions = [];
+
+		// Every search word has to appear in the name, handle or bio
+		// (ILIKE is backed by trigram indexes, see migrations)
+		const terms = (q || "").split(/\s+/).filter(Boolean).slice(0, 5);
+		for (const term of terms) {
+			conditions.push({
+				[Op.or]: [
+					{ name: { [Op.iLike]: `%${escapeLike(term)}%` } },
+					{ handle: { [Op.iLike]: `%${escapeLike(term)}%` } },
+					{ bio: { [Op.iLike]: `%${escapeLike(term)}%` } },
+				],
+			});
+		}
+
+		// Hidden locations can't be used to find someone either
+		if (location) {
+			where.location = { [Op.iLike]: `%${escapeLike(location)}%` };
+			where.hideLocation = false;
+		}
+
+		if (hasContent !== undefined) {
+			conditions.push(
+				Sequelize.where(
+					contentCount,
+					hasContent ? { [Op.gt]: 0 } : 0
+				)
+			);
+		}
+
+		if (conditions.length > 0) {
+			where[Op.and] = conditions;
+		}
 
-		const { count: totalUsers, rows: users } = await User.findAndCountAll({
+		// Suspended and deleted accounts are hidden from the directory
+		const { count: totalUsers, rows: users } = await User.scope(
+			"visible"
+		).findAndCountAll({
 			attributes: {
-				exclude: ["password", "refreshToken", "tokenVersion"],
+				exclude: PRIVATE_ATTRIBUTES,
 			},
+			include: [includeYoutubeLinks()],
+			where,
 			limit: limit,
 			offset: offset,
-			order: [["created_at", "DESC"]],
+			order: DIRECTORY_ORDER[sort],
 		});
 
+		// Apply privacy settings - private content is only listed for followers
+		const viewerId = req.user ? req.user.id : null;
+		const followedIds = await getApprovedFollowingIds(
+			viewerId,
+			users.filter((user) => user.privateProfile).map((user) => user.id)
+		);
+
 		// Add profile picture URLs for each user
 		const usersWithProfilePicUrl = users.map((user) => {
-			const userData = user.toJSON();
+			const userData = toVisibleProfile(user, {
+				viewerId,
+				canViewContent: !user.privateProfile || followedIds.has(user.id),
+			});
 			userData.profilePictureUrl = `/api/v1/users/${user.id}/profile-picture`;
 			return userData;
 		});
@@ -49,10 +189,13 @@ export const getUserById = async (req, res, next) => {
 	try {
 		const userId = req.params.id;
 
-		const user = await User.findByPk(userId, {
+		// Suspended and deleted accounts are hidden from visitors
+		const user = await User.scope("visible").findOne({
 			attributes: {
-				exclude: ["password", "refreshToken", "tokenVersion"],
+				exclude: PRIVATE_ATTRIBUTES,
 			},
+			include: [includeYoutubeLinks()],
+			where: { id: userId },
 		});
 
 		if (!user) {
@@ -61,9 +204,84 @@ export const getUserById = async (req, res, next) => {
 			throw error;
 		}
 
-		// Add profile picture URL
-		const userData = user.toJSON();
+		// Users who blocked each other can't see each other's profile
+		const viewerId = req.user ? req.user.id : null;
+		if (await isBlockedBetween(viewerId, user.id)) {
+			const error = new Error("User not found");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		// Apply privacy settings, add profile picture URL and follower stats
+		const userData = toVisibleProfile(user, {
+			viewerId,
+			canViewContent: await canViewProfileContent(user, viewerId),
+		});
 		userData.profilePictureUrl = `/api/v1/users/${user.id}/profile-picture`;
+		Object.assign(userData, await getFollowStats(user.id, viewerId));
+
+		res.status(200).json({
+			success: true,
+			message: "User fetched successfully",
+			data: userData,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Get a user by handle - old handles redirect to the current one
+export const getUserByHandle = async (req, res, next) => {
+	try {
+		const handle = req.params.handle.toLowerCase();
+
+		// Suspended and deleted accounts are hidden from visitors
+		const user = await User.scope("visible").findOne({
+			attributes: {
+				exclude: PRIVATE_ATTRIBUTES,
+			},
+			include: [includeYoutubeLinks()],
+			where: { handle },
+		});
+
+		if (!user) {
+			const redirect = await HandleRedirect.findByPk(handle, {
+				include: [
+					{
+						model: User.scope("visible"),
+						as: "user",
+						attributes: ["handle"],
+					},
+				],
+			});
+
+			if (redirect && redirect.user) {
+				return res.redirect(
+					301,
+					`/api/v1/users/by-handle/${redirect.user.handle}`
+				);
+			}
+
+			const error = new Error("User not found");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		// Users who blocked each other can't see each other's profile
+		const viewerId = req.user ? req.user.id : null;
+		if (await isBlockedBetween(viewerId, user.id)) {
+			const error = new Error("User not found");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		// Apply privacy settings, add profile picture URL and follower stats
+		const userData = toVisibleProfile(user, {
+			viewerId,
+			canViewContent: await canViewProfileContent(user, viewerId),
+		});
+		userData.profilePictureUrl = `/api/v1/users/${user.id}/profile-picture`;
+		Object.assign(userData, await getFollowStats(user.id, viewerId));
 
 		res.status(200).json({
 			success: true,
@@ -83,8 +301,9 @@ export const getProfile = async (req, res, next) => {
 
 		const user = await User.findByPk(userId, {
 			attributes: {
-				exclude: ["password", "refreshToken", "tokenVersion"],
+				exclude: PRIVATE_ATTRIBUTES,
 			},
+			include: [includeYoutubeLinks()],
 		});
 
 		if (!user) {
@@ -93,9 +312,10 @@ export const getProfile = async (req, res, next) => {
 			throw error;
 		}
 
-		// Add profile picture URL
+		// Add profile picture URL and follower counts
 		const userData = user.toJSON();
 		userData.profilePictureUrl = `/api/v1/users/${user.id}/profile-picture`;
+		Object.assign(userData, await getFollowStats(user.id));
 
 		res.status(200).json({
 			success: true,
@@ -152,23 +372,17 @@ export const updateProfile = async (req, res, next) => {
 			location: location !== undefined ? location : user.location,
 		};
 
+		// A new email address has to be verified again
+		const emailChanged = Boolean(email && email !== user.email);
+		if (emailChanged) {
+			updateData.emailVerified = false;
+		}
+
 		// If profile picture was uploaded (handled by multer middleware)
 		if (req.file) {
 			// Delete the old profile picture if it exists
-			if (user.profilePicture) {
-				try {
-					const oldPicturePath = path.join(
-						process.cwd(),
-						user.profilePicture
-					);
-					if (fs.existsSync(oldPicturePath)) {
-						fs.unlinkSync(oldPicturePath);
-					}
-				} catch (err) {
-					console.error("Error deleting old profile picture:", err);
-					// Continue with update even if old file deletion fails
-				}
-			}
+			// Continues with the update even if the file deletion fails
+			removeProfilePictureFile(user.profilePicture);
 
 			// Save the new profile picture path relative to server root
 			updateData.profilePicture = req.file.path.replace(/\\/g, "/");
@@ -177,11 +391,20 @@ export const updateProfile = async (req, res, next) => {
 		// Update user
 		await user.update(updateData);
 
+		if (emailChanged) {
+			try {
+				await sendVerificationEmail(user);
+			} catch (mailError) {
+				console.error("Verification email error:", mailError.message);
+			}
+		}
+
 		// Return updated user without sensitive information
 		const updatedUser = await User.findByPk(userId, {
 			attributes: {
-				exclude: ["password", "refreshToken", "tokenVersion"],
+				exclude: PRIVATE_ATTRIBUTES,
 			},
+			include: [includeYoutubeLinks()],
 		});
 
 		// Add profile picture URL
@@ -198,6 +421,374 @@ export const updateProfile = async (req, res, next) => {
 	}
 };
 
+// Change own handle - requires authentication, limited by a cooldown
+// The old handle keeps redirecting to the profile
+export const updateHandle = async (req, res, next) => {
+	try {
+		// Validate request body using Joi
+		const { error, value } = userValidation.updateHandle.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const user = await User.findByPk(req.user.id);
+		const { handle } = value;
+
+		if (handle === user.handle) {
+			return res.status(200).json({
+				success: true,
+				message: "Handle unchanged",
+				data: { handle },
+			});
+		}
+
+		const cooldownMs =
+			config.accounts.handleChangeCooldownDays * 24 * 60 * 60 * 1000;
+		const nextChangeAt = user.handleChangedAt
+			? new Date(user.handleChangedAt.getTime() + cooldownMs)
+			: null;
+
+		if (nextChangeAt && nextChangeAt > new Date()) {
+			res.set(
+				"Retry-After",
+				String(Math.ceil((nextChangeAt.getTime() - Date.now()) / 1000))
+			);
+			return res.status(429).json({
+				success: false,
+				message: `You can change your handle again on ${nextChangeAt.toISOString()}`,
+			});
+		}
+
+		if (isReservedHandle(handle)) {
+			return res.status(400).json({
+				success: false,
+				message: "This handle is reserved",
+			});
+		}
+
+		if (!(await isHandleAvailable(handle, user.id))) {
+			return res.status(409).json({
+				success: false,
+				message: "Handle is not available",
+			});
+		}
+
+		const previousHandle = user.handle;
+
+		await sequelize.transaction(async (transaction) => {
+			// Reclaiming one of the own old handles removes its redirect
+			await HandleRedirect.destroy({
+				where: { handle, userId: user.id },
+				transaction,
+			});
+			await HandleRedirect.upsert(
+				{ handle: previousHandle, userId: user.id },
+				{ transaction }
+			);
+
+			user.handle = handle;
+			user.handleChangedAt = new Date();
+			await user.save({ transaction });
+		});
+
+		res.status(200).json({
+			success: true,
+			message: "Handle updated successfully",
+			data: {
+				handle: user.handle,
+				previousHandle,
+				nextChangeAt: new Date(
+					user.handleChangedAt.getTime() + cooldownMs
+				),
+			},
+		});
+	} catch (error) {
+		// Someone claimed the handle at the same time
+		if (error.name === "SequelizeUniqueConstraintError") {
+			return res.status(409).json({
+				success: false,
+				message: "Handle is not available",
+			});
+		}
+		next(error);
+	}
+};
+
+// Get own privacy settings - requires authentication
+export const getPrivacySettings = async (req, res, next) => {
+	try {
+		const user = await User.findByPk(req.user.id, {
+			attributes: PRIVACY_SETTINGS,
+		});
+
+		res.status(200).json({
+			success: true,
+			message: "Privacy settings fetched successfully",
+			data: user.toJSON(),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Update own privacy settings - requires authentication
+export const updatePrivacySettings = async (req, res, next) => {
+	try {
+		// Validate request body using Joi
+		const { error, value } = userValidation.updatePrivacy.validate(
+			req.body
+		);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const user = await User.findByPk(req.user.id);
+		const wasPrivate = user.privateProfile;
+
+		await sequelize.transaction(async (transaction) => {
+			await user.update(value, { transaction });
+
+			// A public profile has nothing to approve - accept open requests
+			if (wasPrivate && !user.privateProfile) {
+				await Follow.update(
+					{ status: "accepted" },
+					{
+						where: { followingId: user.id, status: "pending" },
+						transaction,
+					}
+				);
+			}
+		});
+
+		const settings = {};
+		for (const setting of PRIVACY_SETTINGS) {
+			settings[setting] = user[setting];
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Privacy settings updated successfully",
+			data: settings,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Change own password - requires authentication and the current password
+export const changePassword = async (req, res, next) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.changePassword.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const { currentPassword, newPassword } = req.body;
+
+		// req.user excludes the password hash, so load the full record
+		const user = await User.findByPk(req.user.id);
+		if (!user) {
+			const error = new Error("User not found");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		const isPasswordCorrect = await user.comparePassword(currentPassword);
+		if (!isPasswordCorrect) {
+			return res.status(401).json({
+				success: false,
+				message: "Current password is incorrect",
+			});
+		}
+
+		if (await user.comparePassword(newPassword)) {
+			return res.status(400).json({
+				success: false,
+				message: "New password must be different from the current password",
+			});
+		}
+
+		// The beforeUpdate hook hashes the password and bumps tokenVersion,
+		// which invalidates every refresh token issued before this change
+		user.password = newPassword;
+		await user.save();
+
+		// Sign out every device, then start a fresh session for this one
+		await Session.destroy({ where: { userId: user.id } });
+		const tokens = await generateTokens(user, req);
+
+		res.status(200).json({
+			success: true,
+			message: "Password changed successfully",
+			data: buildTokenResponse(res, tokens, req.authenticatedWithCookie),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Delete own account - requires the password (and a 2FA code when enabled)
+// The account is hidden immediately and purged after the grace period,
+// signing in again before then cancels the deletion
+export const deleteAccount = async (req, res, next) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.deleteAccount.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const user = await User.findByPk(req.user.id);
+		if (!user) {
+			const error = new Error("User not found");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		const isPasswordCorrect = await user.comparePassword(req.body.password);
+		if (!isPasswordCorrect) {
+			return res.status(401).json({
+				success: false,
+				message: "Invalid password",
+			});
+		}
+
+		if (
+			user.twoFactorEnabled &&
+			!(req.body.code && (await verifyTwoFactorCode(user, req.body.code)))
+		) {
+			return res.status(401).json({
+				success: false,
+				message: "Invalid authentication code",
+			});
+		}
+
+		// Soft delete and sign out every device
+		user.deletedAt = new Date();
+		user.tokenVersion += 1;
+		await user.save();
+		await Session.destroy({ where: { userId: user.id } });
+
+		const purgeAt = new Date(
+			user.deletedAt.getTime() +
+				ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+		);
+
+		res.status(200).json({
+			success: true,
+			message: `Account scheduled for deletion. Sign in within ${ACCOUNT_DELETION_GRACE_DAYS} days to cancel.`,
+			data: { purgeAt },
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+// Export own data as a zip archive - requires authentication
+export const exportAccountData = async (req, res, next) => {
+	try {
+		const user = await User.findByPk(req.user.id, {
+			attributes: {
+				exclude: PRIVATE_ATTRIBUTES,
+			},
+			include: [includeYoutubeLinks()],
+		});
+
+		if (!user) {
+			const error = new Error("User not found");
+			error.statusCode = 404;
+			throw error;
+		}
+
+		const sessions = await Session.findAll({
+			attributes: [
+				"device",
+				"userAgent",
+				"ipAddress",
+				"createdAt",
+				"lastUsedAt",
+			],
+			where: { userId: user.id },
+			order: [["created_at", "DESC"]],
+		});
+
+		const { youtubeLinks, ...profile } = user.toJSON();
+
+		const archive = archiver("zip", { zlib: { level: 9 } });
+
+		// Headers are already sent once streaming starts, so abort the response
+		archive.on("error", (error) => {
+			console.error("Export archive error:", error);
+			res.destroy(error);
+		});
+
+		res.setHeader("Content-Type", "application/zip");
+		res.setHeader(
+			"Content-Disposition",
+			`attachment; filename="csmbd-export-${user.id}.zip"`
+		);
+		archive.pipe(res);
+
+		archive.append(JSON.stringify(profile, null, 2), {
+			name: "profile.json",
+		});
+		archive.append(JSON.stringify(youtubeLinks || [], null, 2), {
+			name: "youtube-links.json",
+		});
+		archive.append(JSON.stringify(sessions, null, 2), {
+			name: "sessions.json",
+		});
+
+		// Include the uploaded profile picture, if any
+		if (user.profilePicture) {
+			const picturePath = path.join(process.cwd(), user.profilePicture);
+			if (fs.existsSync(picturePath)) {
+				archive.file(picturePath, {
+					name: `profile-picture${path.extname(picturePath)}`,
+				});
+			}
+		}
+
+		await archive.finalize();
+	} catch (error) {
+		next(error);
+	}
+};
+
+const DUPLICATE_VIDEO_MESSAGE = "This video is already on your profile";
+
+/**
+ * Whether a video is already linked on a profile
+ *
+ * @param {string} userId - Profile owner
+ * @param {string} videoId - YouTube video id
+ * @param {string} [exceptId] - Link to leave out, when editing it
+ * @returns {Promise<boolean>} True if another link has the video
+ */
+const hasVideoOnProfile = async (userId, videoId, exceptId) => {
+	const count = await Content.count({
+		where: {
+			userId,
+			videoId,
+			...(exceptId && { id: { [Op.ne]: exceptId } }),
+		},
+	});
+	return count > 0;
+};
+
 // Add YouTube link to profile - requires authentication
 export const addYoutubeLink = async (req, res, next) => {
 	try {
@@ -211,7 +802,7 @@ export const addYoutubeLink = async (req, res, next) => {
 		}
 
 		const userId = req.user.id;
-		const { youtubeUrl, title } = req.body;
+		const { youtubeUrl, title, description } = req.body;
 
 		// Check if user exists
 		const user = await User.findByPk(userId);
@@ -221,27 +812,37 @@ export const addYoutubeLink = async (req, res, next) => {
 			throw error;
 		}
 
-		// Parse current YouTube links
-		const currentLinks = user.youtubeLinks || [];
+		// Store the canonical URL of the video, once per profile
+		const video = parseYoutubeUrl(youtubeUrl);
+		if (await hasVideoOnProfile(user.id, video.videoId)) {
+			return res.status(409).json({
+				success: false,
+				message: DUPLICATE_VIDEO_MESSAGE,
+			});
+		}
 
-		// Add new link
-		const newLink = {
-			id: Date.now().toString(), // Simple unique ID
-			url: youtubeUrl,
+		// Add new link at the end of the profile
+		const lastPosition = await Content.max("position", {
+			where: { userId: user.id },
+		});
+		const content = await Content.create({
+			userId: user.id,
+			url: video.url,
+			videoId: video.videoId,
+			embedUrl: video.embedUrl,
+			thumbnailUrl: video.thumbnailUrl,
 			title,
-			addedAt: new Date().toISOString(),
-		};
-
-		// Update user's YouTube links
-		await user.update({
-			youtubeLinks: [...currentLinks, newLink],
+			description: description || null,
+			position: lastPosition === null ? 0 : lastPosition + 1,
 		});
+		const newLink = toYoutubeLink(content);
 
 		// Return updated user without sensitive information
 		const updatedUser = await User.findByPk(userId, {
 			attributes: {
-				exclude: ["password", "refreshToken", "tokenVersion"],
+				exclude: PRIVATE_ATTRIBUTES,
 			},
+			include: [includeYoutubeLinks()],
 		});
 
 		// Add profile picture URL
@@ -257,6 +858,13 @@ export const addYoutubeLink = async (req, res, next) => {
 			},
 		});
 	} catch (error) {
+		// The same video was added at the same time
+		if (error.name === "SequelizeUniqueConstraintError") {
+			return res.status(409).json({
+				success: false,
+				message: DUPLICATE_VIDEO_MESSAGE,
+			});
+		}
 		next(error);
 	}
 };
@@ -275,30 +883,24 @@ export const removeYoutubeLink = async (req, res, next) => {
 			throw error;
 		}
 
-		// Parse current YouTube links
-		const currentLinks = user.youtubeLinks || [];
-
-		// Filter out the link to remove
-		const updatedLinks = currentLinks.filter((link) => link.id !== linkId);
+		// Only the own links can be removed
+		const removed = isContentId(linkId)
+			? await Content.destroy({ where: { id: linkId, userId: user.id } })
+			: 0;
 
-		// Check if link was found and removed
-		if (currentLinks.length === updatedLinks.length) {
+		if (!removed) {
 			return res.status(404).json({
 				success: false,
 				message: "YouTube link not found",
 			});
 		}
 
-		// Update user's YouTube links
-		await user.update({
-			youtubeLinks: updatedLinks,
-		});
-
 		// Return updated user without sensitive information
 		const updatedUser = await User.findByPk(userId, {
 			attributes: {
-				exclude: ["password", "refreshToken", "tokenVersion"],
+				exclude: PRIVATE_ATTRIBUTES,
 			},
+			include: [includeYoutubeLinks()],
 		});
 
 		// Add profile picture URL
@@ -315,17 +917,154 @@ export const removeYoutubeLink = async (req, res, next) => {
 	}
 };
 
+// Edit own YouTube link - requires authentication
+// Only the given fields change, the link keeps its addedAt date and position
+export const updateYoutubeLink = async (req, res, next) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.updateYoutubeLink.validate(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const linkId = req.params.linkId;
+		const content = isContentId(linkId)
+			? await Content.findOne({
+					where: { id: linkId, userId: req.user.id },
+			  })
+			: null;
+
+		if (!content) {
+			return res.status(404).json({
+				success: false,
+				message: "YouTube link not found",
+			});
+		}
+
+		const { youtubeUrl, title, description } = req.body;
+		const updateData = {
+			title: title !== undefined ? title : content.title,
+			description:
+				description !== undefined
+					? description || null
+					: content.description,
+		};
+
+		// A new URL may point at another video
+		if (youtubeUrl !== undefined) {
+			const video = parseYoutubeUrl(youtubeUrl);
+			const duplicate = await hasVideoOnProfile(
+				req.user.id,
+				video.videoId,
+				content.id
+			);
+			if (duplicate) {
+				return res.status(409).json({
+					success: false,
+					message: DUPLICATE_VIDEO_MESSAGE,
+				});
+			}
+
+			Object.assign(updateData, {
+				url: video.url,
+				videoId: video.videoId,
+				embedUrl: video.embedUrl,
+				thumbnailUrl: video.thumbnailUrl,
+			});
+		}
+
+		await content.update(updateData);
+
+		res.status(200).json({
+			success: true,
+			message: "YouTube link updated successfully",
+			data: toYoutubeLink(content),
+		});
+	} catch (error) {
+		// The same video was added at the same time
+		if (error.name === "SequelizeUniqueConstraintError") {
+			return res.status(409).json({
+				success: false,
+				message: DUPLICATE_VIDEO_MESSAGE,
+			});
+		}
+		next(error);
+	}
+};
+
+// Set the display order of own YouTube links - requires authentication
+// The body lists the ids of all own links in the new order
+export const reorderYoutubeLinks = async (req, res, next) => {
+	try {
+		// Validate request body using Joi
+		const { error } = userValidation.reorderYoutubeLinks.validate(
+			req.body
+		);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error.details[0].message,
+			});
+		}
+
+		const userId = req.user.id;
+		const { linkIds } = req.body;
+
+		const contents = await Content.findAll({
+			where: { userId },
+			attributes: ["id"],
+		});
+		const ownIds = new Set(contents.map((content) => content.id));
+
+		// A partial list would leave the order of the other links undefined
+		if (
+			linkIds.length !== ownIds.size ||
+			!linkIds.every((linkId) => ownIds.has(linkId))
+		) {
+			return res.status(400).json({
+				success: false,
+				message: "Link ids must list each of your YouTube links once",
+			});
+		}
+
+		await sequelize.transaction(async (transaction) => {
+			for (const [position, linkId] of linkIds.entries()) {
+				await Content.update(
+					{ position },
+					{ where: { id: linkId, userId }, transaction }
+				);
+			}
+		});
+
+		const links = await Content.findAll({
+			attributes: CONTENT_ATTRIBUTES,
+			where: { userId },
+			order: [
+				["position", "ASC"],
+				["addedAt", "ASC"],
+			],
+		});
+
+		res.status(200).json({
+			success: true,
+			message: "YouTube links reordered successfully",
+			data: links.map(toYoutubeLink),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
 // Get profile picture
 export const getProfilePicture = async (req, res, next) => {
 	try {
 		const userId = req.params.id;
 
 		// Set explicit CORS headers with dynamic origin
-		const allowedOrigins = [
-			"http://localhost:3005",
-			"http://localhost:3005",
-			"https://csmbd-assignment-frontend.vercel.app",
-		];
+		const allowedOrigins = config.cors.origins;
 
 		const origin = req.headers.origin;
 		if (origin && allowedOrigins.includes(origin)) {
@@ -344,9 +1083,10 @@ export const getProfilePicture = async (req, res, next) => {
 		res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
 		res.setHeader("Timing-Allow-Origin", "*");
 
-		// Find the user to get their profile picture path
-		const user = await User.findByPk(userId, {
-			attributes: ["profilePicture"],
+		// Find the user to get their profile picture path - suspended and
+		// deleted accounts are hidden like on their profile
+		const user = await User.scope("visible").findByPk(userId, {
+			attributes: ["id", "profilePicture", "privateProfile"],
 		});
 
 		if (!user) {
@@ -356,9 +1096,16 @@ export const getProfilePicture = async (req, res, next) => {
 			});
 		}
 
+		// Private profiles only show their picture to approved followers,
+		// users who blocked each other only see the default picture
+		const viewerId = req.user ? req.user.id : null;
+		const canViewPicture =
+			!(await isBlockedBetween(viewerId, user.id)) &&
+			(await canViewProfileContent(user, viewerId));
+
 		// Determine which file to send
 		let filePath;
-		if (!user.profilePicture) {
+		if (!user.profilePicture || !canViewPicture) {
 			filePath = path.join(
 				process.cwd(),
 				"uploads",
@@ -403,7 +1150,14 @@ export const getProfilePicture = async (req, res, next) => {
 		// Read and stream the file manually to ensure CORS headers are sent
 		const fileStream = fs.createReadStream(filePath);
 		res.setHeader("Content-Type", contentType);
-		res.setHeader("Cache-Control", "public, max-age=86400"); // 24 hour cache
+		// The picture of a private profile or for a signed-in viewer (who may
+		// be blocked) depends on who is asking
+		res.setHeader(
+			"Cache-Control",
+			user.privateProfile || viewerId
+				? "private, no-cache"
+				: "public, max-age=86400" // 24 hour cache
+		);
 
 		// Stream the file to the response
 		fileStream.pipe(res);
@@ -441,87 +1195,50 @@ export const getAllContent = async (req, res, next) => {
 			? req.query.sortBy
 			: "newest"; // Default to newest
 
-		// Performance optimization: Only retrieve users with YouTube links
-		// This uses the database to filter instead of fetching all users and filtering in memory
-		// Note: A database index on youtube_links would improve this query's performance
-		const users = await User.findAll({
-			attributes: ["id", "name", "youtubeLinks"],
-			where: {
-				// Only select users who have at least one YouTube link
-				youtubeLinks: {
-					[Op.not]: null,
-					[Op.ne]: "[]", // Not an empty array
-				},
-			},
-			// Optimization: Add order by created_at for consistent results
-			order: [["created_at", "DESC"]],
-		});
-
-		// Extract and format all YouTube links with user information
-		// Performance optimization: Pre-allocate array with estimated size
-		const estimatedContentCount = users.reduce(
-			(count, user) => count + (user.youtubeLinks?.length || 0),
-			0
-		);
-		let allContent = new Array(estimatedContentCount);
-		let contentIndex = 0;
-
-		// Process all users' content in a single pass
-		users.forEach((user) => {
-			const userData = user.toJSON();
-			if (userData.youtubeLinks && userData.youtubeLinks.length > 0) {
-				userData.youtubeLinks.forEach((link) => {
-					// Security: Ensure all expected properties exist
-					if (!link.id || !link.url) {
-						return; // Skip invalid entries
-					}
+		const offset = (page - 1) * limit;
 
-					allContent[contentIndex++] = {
-						id: link.id,
-						title: link.title || "Untitled Video", // Provide fallback for missing titles
-						url: link.url,
-						addedAt: link.addedAt || new Date().toISOString(), // Provide fallback for missing dates
-						user: {
-							id: userData.id,
-							name: userData.name,
-							profilePictureUrl: `/api/v1/users/${userData.id}/profile-picture`,
-						},
-					};
-				});
-			}
+		// Content of suspended and deleted accounts is hidden
+		// Content of private profiles is only shown to their owner and
+		// approved followers, signed-in users don't see users they muted or
+		// blocked
+		const viewerId = req.user ? req.user.id : null;
+		const follows = viewerId
+			? await Follow.findAll({
+					where: { followerId: viewerId, status: "accepted" },
+					attributes: ["followingId"],
+			  })
+			: [];
+		const visiblePrivateIds = viewerId
+			? [viewerId, ...follows.map((follow) => follow.followingId)]
+			: [];
+		const hiddenUserIds = await getHiddenUserIds(viewerId);
+		const { count: total, rows: contents } = await Content.findAndCountAll({
+			attributes: CONTENT_ITEM_ATTRIBUTES,
+			include: [
+				includeAuthor({
+					[Op.or]: [
+						{ privateProfile: false },
+						...(visiblePrivateIds.length > 0
+							? [{ id: visiblePrivateIds }]
+							: []),
+					],
+					...(hiddenUserIds.length > 0 && {
+						id: { [Op.notIn]: hiddenUserIds },
+					}),
+				}),
+			],
+			limit: limit,
+			offset: offset,
+			order: CONTENT_ORDER[sortBy],
 		});
 
-		// Trim array to actual size if pre-allocation estimate was off
-		allContent = allContent.filter(Boolean);
-
-		// Optimization: Apply sorting efficiently
-		const getSortFn = (sortType) => {
-			// Use optimized sorting functions based on type
-			switch (sortType) {
-				case "newest":
-					return (a, b) => new Date(b.addedAt) - new Date(a.addedAt);
-				case "oldest":
-					return (a, b) => new Date(a.addedAt) - new Date(b.addedAt);
-				case "popular":
-					// This is a placeholder for popularity sorting
-					// TODO: Implement proper popularity metric when available
-					return (a, b) => new Date(b.addedAt) - new Date(a.addedAt);
-				default:
-					return (a, b) => new Date(b.addedAt) - new Date(a.addedAt);
-			}
-		};
-
-		// Sort the content array
-		allContent.sort(getSortFn(sortBy));
+		const likedIds = await getLikedContentIds(
+			viewerId,
+			contents.map((content) => content.id)
+		);
 
-		// Calculate pagination efficiently
-		const total = allContent.length;
 		const totalPages = Math.ceil(total / limit);
-		const startIndex = (page - 1) * limit;
-		const endIndex = Math.min(startIndex + limit, total);
-
-		// Get the content for the current page
-		const paginatedContent = allContent.slice(startIndex, endIndex);
+		const hasNextPage = offset + limit < total;
 
 		// Return with proper cacheing headers if data hasn't changed
 		// Note: In production, you should implement proper cache control
@@ -529,15 +1246,15 @@ export const getAllContent = async (req, res, next) => {
 		res.status(200).json({
 			success: true,
 			message: "Content fetched successfully",
-			data: paginatedContent,
+			data: toContentItems(contents, likedIds),
 			pagination: {
 				total,
 				limit,
 				totalPages,
 				currentPage: page,
-				hasNextPage: endIndex < total,
+				hasNextPage,
 				hasPreviousPage: page > 1,
-				nextPage: endIndex < total ? page + 1 : null,
+				nextPage: hasNextPage ? page + 1 : null,
 				previousPage: page > 1 ? page - 1 : null,
 			},
 		});
@@ -1,17 +1,17 @@
 import { QueryTypes } from "sequelize";
+import config from "../config/env.config.js";
+import { parseYoutubeUrl } from "../utils/youtube.util.js";
 import { sequelize } from "./postgresql.js";
 
 /**
- * Migration script to add new columns to the users table for profile management
- * Optimized for serverless environments with better error handling
+ * Bring the database schema up to date
+ * Every step checks what is already there, so this can run on every deploy
+ * (see scripts/migrate.js). Models must be registered before it runs.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} When a migration fails
  */
 export const runMigrations = async () => {
-    // Skip migrations in production/serverless environment
-    if (process.env.NODE_ENV === "production") {
-        console.log("Skipping migrations in production environment");
-        return;
-    }
-
     try {
         console.log("Running database migrations...");
 
@@ -24,10 +24,11 @@ export const runMigrations = async () => {
             { type: QueryTypes.SELECT }
         );
 
-        // If users table doesn't exist, skip migrations
+        // A new database gets its tables from the models, the steps below
+        // then only add the indexes and data the models don't cover
         if (!tableCheck[0].exists) {
-            console.log("Users table doesn't exist yet, skipping migrations");
-            return;
+            await sequelize.sync();
+            console.log("Created tables from the models");
         }
 
         // Check if the columns already exist to avoid errors
@@ -40,12 +41,12 @@ export const runMigrations = async () => {
 
         const existingColumns = tableInfo.map((col) => col.column_name);
 
-        // Add refresh_token column if it doesn't exist
-        if (!existingColumns.includes("refresh_token")) {
+        // Refresh tokens moved to the sessions table
+        if (existingColumns.includes("refresh_token")) {
             await sequelize.query(
-                `ALTER TABLE users ADD COLUMN refresh_token TEXT;`
+                `ALTER TABLE users DROP COLUMN refresh_token;`
             );
-            console.log("Added 'refresh_token' column to users table");
+            console.log("Dropped 'refresh_token' column from users table");
         }
 
         // Add token_version column if it doesn't exist
@@ -70,14 +71,6 @@ export const runMigrations = async () => {
             console.log("Added 'location' column to users table");
         }
 
-        // Add youtube_links column if it doesn't exist
-        if (!existingColumns.includes("youtube_links")) {
-            await sequelize.query(
-                `ALTER TABLE users ADD COLUMN youtube_links JSONB DEFAULT '[]';`
-            );
-            console.log("Added 'youtube_links' column to users table");
-        }
-
         // Add profile_picture column if it doesn't exist
         if (!existingColumns.includes("profile_picture")) {
             await sequelize.query(
@@ -86,13 +79,507 @@ export const runMigrations = async () => {
             console.log("Added 'profile_picture' column to users table");
         }
 
+        // Add email verification columns if they don't exist
+        if (!existingColumns.includes("email_verified")) {
+            await sequelize.query(
+                `ALTER TABLE users ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT false;`
+            );
+            // Accounts created before verification existed are trusted
+            await sequelize.query(`UPDATE users SET email_verified = true;`);
+            console.log("Added 'email_verified' column to users table");
+        }
+
+        if (!existingColumns.includes("email_verification_token_id")) {
+            await sequelize.query(
+                `ALTER TABLE users ADD COLUMN email_verification_token_id VARCHAR(64);`
+            );
+            console.log(
+                "Added 'email_verification_token_id' column to users table"
+            );
+        }
+
+        // Add password reset columns if they don't exist
+        if (!existingColumns.includes("password_reset_token_hash")) {
+            await sequelize.query(
+                `ALTER TABLE users ADD COLUMN password_reset_token_hash VARCHAR(64);`
+            );
+            console.log(
+                "Added 'password_reset_token_hash' column to users table"
+            );
+        }
+
+        if (!existingColumns.includes("password_reset_expires_at")) {
+            await sequelize.query(
+                `ALTER TABLE users ADD COLUMN password_reset_expires_at TIMESTAMP WITH TIME ZONE;`
+            );
+            console.log(
+                "Added 'password_reset_expires_at' column to users table"
+            );
+        }
+
+        // Add two-factor authentication columns if they don't exist
+        const twoFactorColumns = {
+            two_factor_enabled: "BOOLEAN NOT NULL DEFAULT false",
+            two_factor_secret: "VARCHAR(64)",
+            two_factor_pending_secret: "VARCHAR(64)",
+            two_factor_last_step: "INTEGER",
+            two_factor_recovery_codes: "JSONB NOT NULL DEFAULT '[]'",
+        };
+
+        for (const [column, definition] of Object.entries(twoFactorColumns)) {
+            if (!existingColumns.includes(column)) {
+                await sequelize.query(
+                    `ALTER TABLE users ADD COLUMN ${column} ${definition};`
+                );
+                console.log(`Added '${column}' column to users table`);
+            }
+        }
+
+        // Add role and suspension columns if they don't exist
+        if (!existingColumns.includes("role")) {
+            await sequelize.query(
+                `ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user';`
+            );
+            console.log("Added 'role' column to users table");
+        }
+
+        if (!existingColumns.includes("suspended_at")) {
+            await sequelize.query(
+                `ALTER TABLE users ADD COLUMN suspended_at TIMESTAMP WITH TIME ZONE;`
+            );
+            console.log("Added 'suspended_at' column to users table");
+        }
+
+        if (!existingColumns.includes("suspension_reason")) {
+            await sequelize.query(
+                `ALTER TABLE users ADD COLUMN suspension_reason TEXT;`
+            );
+            console.log("Added 'suspension_reason' column to users table");
+        }
+
+        // Add soft-delete column if it doesn't exist
+        if (!existingColumns.includes("deleted_at")) {
+            await sequelize.query(
+                `ALTER TABLE users ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;`
+            );
+            console.log("Added 'deleted_at' column to users table");
+        }
+
+        // Add handle column - existing users get one derived from their name
+        // plus a random suffix, they can pick a nicer one right away
+        if (!existingColumns.includes("handle")) {
+            await sequelize.query(
+                `ALTER TABLE users ADD COLUMN handle VARCHAR(30);`
+            );
+            await sequelize.query(
+                `UPDATE users SET handle =
+                    COALESCE(
+                        NULLIF(LEFT(TRIM(BOTH '_' FROM LOWER(REGEXP_REPLACE(name, '[^a-zA-Z0-9]+', '_', 'g'))), 20), ''),
+                        'user'
+                    ) || '_' || SUBSTR(MD5(id::text), 1, 6)
+                 WHERE handle IS NULL;`
+            );
+            await sequelize.query(
+                `ALTER TABLE users ALTER COLUMN handle SET NOT NULL;`
+            );
+            await sequelize.query(
+                `CREATE UNIQUE INDEX IF NOT EXISTS users_handle ON users (handle);`
+            );
+            console.log("Added 'handle' column to users table");
+        }
+
+        // Add privacy settings columns if they don't exist
+        const privacyColumns = {
+            hide_email: "BOOLEAN NOT NULL DEFAULT true",
+            hide_location: "BOOLEAN NOT NULL DEFAULT false",
+            private_profile: "BOOLEAN NOT NULL DEFAULT false",
+            hide_from_directory: "BOOLEAN NOT NULL DEFAULT false",
+        };
+
+        for (const [column, definition] of Object.entries(privacyColumns)) {
+            if (!existingColumns.includes(column)) {
+                await sequelize.query(
+                    `ALTER TABLE users ADD COLUMN ${column} ${definition};`
+                );
+                console.log(`Added '${column}' column to users table`);
+            }
+        }
+
+        // Add handle_changed_at column if it doesn't exist
+        if (!existingColumns.includes("handle_changed_at")) {
+            await sequelize.query(
+                `ALTER TABLE users ADD COLUMN handle_changed_at TIMESTAMP WITH TIME ZONE;`
+            );
+            console.log("Added 'handle_changed_at' column to users table");
+        }
+
+        // Bootstrap the first admin from the environment
+        if (config.accounts.adminEmail) {
+            await sequelize.query(
+                `UPDATE users SET role = 'admin' WHERE email = :email;`,
+                { replacements: { email: config.accounts.adminEmail } }
+            );
+        }
+
+        // Trigram indexes speed up the case-insensitive directory search
+        try {
+            await sequelize.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
+            await sequelize.query(
+                `CREATE INDEX IF NOT EXISTS users_name_trgm ON users USING GIN (name gin_trgm_ops);`
+            );
+            await sequelize.query(
+                `CREATE INDEX IF NOT EXISTS users_bio_trgm ON users USING GIN (bio gin_trgm_ops);`
+            );
+        } catch (error) {
+            // Search still works without the indexes, just slower
+            console.warn("Could not create trigram indexes:", error.message);
+        }
+
+        // Create sessions table - one row per signed-in device
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS sessions (
+                id UUID PRIMARY KEY,
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                refresh_token_hash VARCHAR(64),
+                device VARCHAR(100),
+                user_agent TEXT,
+                ip_address VARCHAR(45),
+                last_used_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+            );`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS sessions_user_id ON sessions (user_id);`
+        );
+
+        // Create revoked_tokens table - durable access token revocation
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS revoked_tokens (
+                jti VARCHAR(64) PRIMARY KEY,
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL
+            );`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS revoked_tokens_expires_at ON revoked_tokens (expires_at);`
+        );
+
+        // Create login_throttles table - failed sign-in attempts
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS login_throttles (
+                key VARCHAR(320) PRIMARY KEY,
+                failures INTEGER NOT NULL DEFAULT 0,
+                last_failure_at TIMESTAMP WITH TIME ZONE,
+                locked_until TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+            );`
+        );
+
+        // Create personal_access_tokens table
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS personal_access_tokens (
+                id UUID PRIMARY KEY,
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                token_prefix VARCHAR(20) NOT NULL,
+                scopes JSONB NOT NULL DEFAULT '[]',
+                last_used_at TIMESTAMP WITH TIME ZONE,
+                expires_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+            );`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS personal_access_tokens_user_id ON personal_access_tokens (user_id);`
+        );
+
+        // Personal access tokens die with the sessions when tokenVersion is
+        // bumped - existing tokens start at the current version of their user
+        const [tokenVersionColumn] = await sequelize.query(
+            `SELECT column_name
+             FROM information_schema.columns
+             WHERE table_name = 'personal_access_tokens' AND column_name = 'token_version'`,
+            { type: QueryTypes.SELECT }
+        );
+        if (!tokenVersionColumn) {
+            await sequelize.transaction(async (transaction) => {
+                await sequelize.query(
+                    `ALTER TABLE personal_access_tokens ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;`,
+                    { transaction }
+                );
+                await sequelize.query(
+                    `UPDATE personal_access_tokens
+                     SET token_version = users.token_version
+                     FROM users
+                     WHERE users.id = personal_access_tokens.user_id;`,
+                    { transaction }
+                );
+            });
+            console.log(
+                "Added 'token_version' column to personal_access_tokens table"
+            );
+        }
+
+        // Create handle_redirects table - previous handles of users
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS handle_redirects (
+                handle VARCHAR(30) PRIMARY KEY,
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL
+            );`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS handle_redirects_user_id ON handle_redirects (user_id);`
+        );
+
+        // Create follows table - the social graph
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS follows (
+                follower_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                following_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                status VARCHAR(10) NOT NULL DEFAULT 'accepted',
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                PRIMARY KEY (follower_id, following_id),
+                CHECK (follower_id <> following_id)
+            );`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS follows_following_id ON follows (following_id);`
+        );
+        // Follow requests for private profiles
+        await sequelize.query(
+            `ALTER TABLE follows ADD COLUMN IF NOT EXISTS status VARCHAR(10) NOT NULL DEFAULT 'accepted';`
+        );
+
+        // Create blocks and mutes tables
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS blocks (
+                blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                PRIMARY KEY (blocker_id, blocked_id),
+                CHECK (blocker_id <> blocked_id)
+            );`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS blocks_blocked_id ON blocks (blocked_id);`
+        );
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS mutes (
+                muter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                muted_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                PRIMARY KEY (muter_id, muted_id),
+                CHECK (muter_id <> muted_id)
+            );`
+        );
+
+        // Create contents table - YouTube videos shared on profiles
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS contents (
+                id UUID PRIMARY KEY,
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                url TEXT NOT NULL,
+                video_id VARCHAR(11),
+                embed_url TEXT,
+                thumbnail_url TEXT,
+                title VARCHAR(100) NOT NULL,
+                description TEXT,
+                position INTEGER NOT NULL DEFAULT 0,
+                added_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+            );`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS contents_added_at ON contents (added_at);`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS contents_user_id_added_at ON contents (user_id, added_at);`
+        );
+
+        // Descriptions and display order of YouTube links
+        const contentInfo = await sequelize.query(
+            `SELECT column_name
+             FROM information_schema.columns
+             WHERE table_name = 'contents'`,
+            { type: QueryTypes.SELECT }
+        );
+        const contentColumns = contentInfo.map((col) => col.column_name);
+
+        if (!contentColumns.includes("description")) {
+            await sequelize.query(
+                `ALTER TABLE contents ADD COLUMN description TEXT;`
+            );
+            console.log("Added 'description' column to contents table");
+        }
+
+        if (!contentColumns.includes("position")) {
+            await sequelize.query(
+                `ALTER TABLE contents ADD COLUMN position INTEGER NOT NULL DEFAULT 0;`
+            );
+            // Existing links keep the order they were added in
+            await sequelize.query(
+                `UPDATE contents SET position = ranked.position
+                 FROM (
+                     SELECT id, ROW_NUMBER() OVER (
+                         PARTITION BY user_id ORDER BY added_at, id
+                     ) - 1 AS position
+                     FROM contents
+                 ) AS ranked
+                 WHERE contents.id = ranked.id;`
+            );
+            console.log("Added 'position' column to contents table");
+        }
+
+        // Parsed video of YouTube links
+        await sequelize.query(
+            `ALTER TABLE contents
+                ADD COLUMN IF NOT EXISTS video_id VARCHAR(11),
+                ADD COLUMN IF NOT EXISTS embed_url TEXT,
+                ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;`
+        );
+
+        // YouTube links moved from the users table to the contents table
+        // Ids are derived from the user and the old link id, so a migration
+        // that is interrupted can run again without creating duplicates.
+        // The column is checked again under a lock in case two deploys run
+        // the migrations at the same time.
+        if (existingColumns.includes("youtube_links")) {
+            const moved = await sequelize.transaction(async (transaction) => {
+                await sequelize.query(
+                    `LOCK TABLE users IN SHARE ROW EXCLUSIVE MODE;`,
+                    { transaction }
+                );
+                const [column] = await sequelize.query(
+                    `SELECT column_name
+                     FROM information_schema.columns
+                     WHERE table_name = 'users' AND column_name = 'youtube_links'`,
+                    { type: QueryTypes.SELECT, transaction }
+                );
+                if (!column) {
+                    return false;
+                }
+
+                await sequelize.query(
+                    `INSERT INTO contents (id, user_id, url, title, position, added_at, updated_at)
+                     SELECT md5(users.id::text || ':' || COALESCE(link->>'id', link->>'url'))::uuid,
+                            users.id,
+                            link->>'url',
+                            LEFT(COALESCE(NULLIF(link->>'title', ''), 'Untitled Video'), 100),
+                            link_index - 1,
+                            CASE WHEN link->>'addedAt' ~ '^\\d{4}-\\d{2}-\\d{2}'
+                                 THEN (link->>'addedAt')::timestamptz
+                                 ELSE users.created_at END,
+                            NOW()
+                     FROM users
+                     CROSS JOIN LATERAL jsonb_array_elements(
+                         CASE WHEN jsonb_typeof(users.youtube_links) = 'array'
+                              THEN users.youtube_links ELSE '[]'::jsonb END
+                     ) WITH ORDINALITY AS links(link, link_index)
+                     WHERE link->>'url' IS NOT NULL
+                     ON CONFLICT (id) DO NOTHING;`,
+                    { transaction }
+                );
+                await sequelize.query(
+                    `ALTER TABLE users DROP COLUMN youtube_links;`,
+                    { transaction }
+                );
+                return true;
+            });
+
+            if (moved) {
+                console.log(
+                    "Moved 'youtube_links' from users table to contents table"
+                );
+            }
+        }
+
+        // Create content_likes table - one like per user and content item
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS content_likes (
+                content_id UUID NOT NULL REFERENCES contents(id) ON DELETE CASCADE,
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                PRIMARY KEY (content_id, user_id)
+            );`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS content_likes_user_id ON content_likes (user_id);`
+        );
+
+        // Create comments table - comments on content with one level of replies
+        await sequelize.query(
+            `CREATE TABLE IF NOT EXISTS comments (
+                id UUID PRIMARY KEY,
+                content_id UUID NOT NULL REFERENCES contents(id) ON DELETE CASCADE,
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                parent_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+                body TEXT NOT NULL,
+                edited_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                updated_at TIMESTAMP WITH TIME ZONE NOT NULL
+            );`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS comments_content_id_created_at ON comments (content_id, created_at);`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS comments_parent_id_created_at ON comments (parent_id, created_at);`
+        );
+        await sequelize.query(
+            `CREATE INDEX IF NOT EXISTS comments_user_id ON comments (user_id);`
+        );
+
+        // Parse the URLs of links added before the video was stored
+        // Broken links and second copies of a video on a profile are left
+        // as they are, the owner can still remove them
+        const unparsedLinks = await sequelize.query(
+            `SELECT id, user_id, url FROM contents
+             WHERE video_id IS NULL
+             ORDER BY position, added_at`,
+            { type: QueryTypes.SELECT }
+        );
+
+        if (unparsedLinks.length > 0) {
+            const parsedLinks = await sequelize.query(
+                `SELECT user_id, video_id FROM contents WHERE video_id IS NOT NULL`,
+                { type: QueryTypes.SELECT }
+            );
+            const takenVideos = new Set(
+                parsedLinks.map((link) => `${link.user_id}:${link.video_id}`)
+            );
+
+            for (const link of unparsedLinks) {
+                const video = parseYoutubeUrl(link.url);
+                const key = video && `${link.user_id}:${video.videoId}`;
+                if (!video || takenVideos.has(key)) {
+                    continue;
+                }
+
+                takenVideos.add(key);
+                await sequelize.query(
+                    `UPDATE contents
+                     SET video_id = :videoId, url = :url,
+                         embed_url = :embedUrl, thumbnail_url = :thumbnailUrl
+                     WHERE id = :id`,
+                    { replacements: { ...video, id: link.id } }
+                );
+            }
+            console.log("Parsed video ids of existing YouTube links");
+        }
+
+        await sequelize.query(
+            `CREATE UNIQUE INDEX IF NOT EXISTS contents_user_id_video_id ON contents (user_id, video_id);`
+        );
+
         console.log("Database migrations completed successfully");
     } catch (error) {
-        // Log error but don't crash in production
         console.error("Error running database migrations:", error);
-        if (process.env.NODE_ENV !== "production") {
-            throw error;
-        }
+        throw error;
     }
 };
 
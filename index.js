@@ -1,26 +1,42 @@
 import cookieParser from "cookie-parser";
 import cors from "cors";
-import dotenv from "dotenv";
 import express from "express";
 import helmet from "helmet";
 import morgan from "morgan";
 import path from "path";
+import config from "./config/env.config.js";
+import { getJsonWebKeys } from "./controllers/auth.controller.js";
 import connectDB, { sequelize } from "./database/postgresql.js";
 import corsMiddleware from "./middlewares/cors.middleware.js";
 import errorMiddleware from "./middlewares/error.middleware.js";
+import adminRouter from "./routes/admin.route.js";
 import authRouter from "./routes/auth.route.js";
+import contentRouter from "./routes/content.route.js";
+import cronRouter from "./routes/cron.route.js";
+import feedRouter from "./routes/feed.route.js";
 import userRouter from "./routes/user.route.js";
 import { applyCorsHeaders } from "./utils/cors.util.js";
 
-// Load environment variables
-dotenv.config();
-
 // Import all models to ensure they're registered
 import "./model/user.model.js";
+import "./model/session.model.js";
+import "./model/revoked-token.model.js";
+import "./model/login-throttle.model.js";
+import "./model/personal-access-token.model.js";
+import "./model/handle-redirect.model.js";
+import "./model/follow.model.js";
+import "./model/block.model.js";
+import "./model/mute.model.js";
+import "./model/content.model.js";
+import "./model/content-like.model.js";
+import "./model/comment.model.js";
 
 // Create Express application
 const app = express();
 
+// Trust the first proxy (Vercel) so req.ip is the client address
+app.set("trust proxy", 1);
+
 // Initialize database connection - will be cached between serverless invocations
 let dbInitialized = false;
 const initializeDB = async () => {
@@ -49,24 +65,25 @@ app.use(corsMiddleware);
 // Apply the external cors package for standard routes
 app.use(
 	cors({
-		origin: [
-			"http://localhost:3005",
-			"http://localhost:3005",
-			"https://csmbd-assignment-frontend.vercel.app",
-		], // Restrict to trusted origins
+		origin: config.cors.origins, // Restrict to trusted origins
 		credentials: true, // Allow cookies with CORS
-		methods: ["GET", "POST", "PUT", "DELETE"], // Allow specific methods
-		allowedHeaders: ["Content-Type", "Authorization"], // Allow specific headers
+		methods: ["GET", "POST", "PUT", "PATCH", "DELETE"], // Allow specific methods
+		allowedHeaders: [
+			"Content-Type",
+			"Authorization",
+			"X-CSRF-Token",
+			"X-Auth-Mode",
+		], // Allow specific headers
 	})
 );
 
 // Request parsing middleware
-app.use(express.json({ limit: "1mb" })); // Limit request body size
+app.use(express.json({ limit: config.requestBodyLimit })); // Limit request body size
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 
 // Logging middleware - only in development
-if (process.env.NODE_ENV === "development") {
+if (config.isDevelopment) {
 	app.use(morgan("dev"));
 }
 
@@ -79,7 +96,7 @@ app.use(async (req, res, next) => {
 // Note: In serverless environments like Vercel, static file serving from local directories
 // doesn't work well. For production, you should use a storage service like AWS S3.
 // This route is kept for local development only.
-if (process.env.NODE_ENV === "development") {
+if (config.isDevelopment) {
 	app.use(
 		"/uploads",
 		(req, res, next) => {
@@ -95,6 +112,13 @@ if (process.env.NODE_ENV === "development") {
 // API Routes
 app.use("/api/v1/auth", authRouter);
 app.use("/api/v1/users", userRouter);
+app.use("/api/v1/admin", adminRouter);
+app.use("/api/v1/feed", feedRouter);
+app.use("/api/v1/content", contentRouter);
+app.use("/api/cron", cronRouter);
+
+// Public keys for verifying our access tokens
+app.get("/.well-known/jwks.json", getJsonWebKeys);
 
 // Root route
 app.get("/", (req, res) => {
@@ -118,7 +142,7 @@ app.get("/api/health", async (req, res) => {
 	res.json({
 		status: "ok",
 		timestamp: new Date().toISOString(),
-		environment: process.env.NODE_ENV,
+		environment: config.env,
 		database: dbStatus,
 		uptime: process.uptime(),
 	});
@@ -136,11 +160,11 @@ app.use((req, res) => {
 app.use(errorMiddleware);
 
 // For local development only - don't include this in serverless
-if (process.env.NODE_ENV === "development") {
+if (config.isDevelopment) {
 	// Start server
-	const server = app.listen(process.env.PORT || 3005, () => {
+	const server = app.listen(config.port, () => {
 		console.log(
-			`✅ Backend API is running on http://localhost:${process.env.PORT} in ${process.env.NODE_ENV} mode`
+			`✅ Backend API is running on http://localhost:${config.port} in ${config.env} mode`
 		);
 	});
 
@@ -1,13 +1,109 @@
-import dotenv from "dotenv";
-import jwt from "jsonwebtoken";
+import { Op } from "sequelize";
 import { isTokenBlacklisted } from "../controllers/auth.controller.js";
+import { PersonalAccessToken } from "../model/personal-access-token.model.js";
+import { Session } from "../model/session.model.js";
 import { User } from "../model/user.model.js";
+import {
+	extractAccessToken,
+	hasValidCsrfToken,
+} from "../utils/auth-cookie.util.js";
+import { TOKEN_AUDIENCES, verifyJwt } from "../utils/jwt.util.js";
+import {
+	hashPersonalAccessToken,
+	isPersonalAccessToken,
+} from "../utils/personal-access-token.util.js";
 
-dotenv.config();
+// Only record token usage once per minute to avoid a write on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Authenticate a request made with a personal access token
+ *
+ * Tokens only work on routes that declare a scope with requireScope, and
+ * only if the token was granted that scope.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {string} token - Personal access token
+ * @returns {void}
+ */
+const authorizePersonalAccessToken = async (req, res, next, token) => {
+	const accessToken = await PersonalAccessToken.findOne({
+		where: { tokenHash: hashPersonalAccessToken(token) },
+	});
+
+	if (
+		!accessToken ||
+		(accessToken.expiresAt && accessToken.expiresAt <= new Date())
+	) {
+		return res.status(401).json({
+			success: false,
+			message: "Invalid or expired personal access token.",
+		});
+	}
+
+	if (!req.requiredScope) {
+		return res.status(403).json({
+			success: false,
+			message: "Personal access tokens can't be used for this endpoint.",
+		});
+	}
+
+	if (!accessToken.scopes.includes(req.requiredScope)) {
+		return res.status(403).json({
+			success: false,
+			message: `This token is missing the '${req.requiredScope}' scope.`,
+		});
+	}
+
+	// Retrieve user from database (excluding password)
+	const user = await User.findByPk(accessToken.userId, {
+		attributes: { exclude: ["password"] },
+	});
+
+	if (!user || user.deletedAt) {
+		return res.status(401).json({
+			success: false,
+			message: "User no longer exists. Please register again.",
+		});
+	}
+
+	// Signing out everywhere revokes personal access tokens as well
+	if (accessToken.tokenVersion !== user.tokenVersion) {
+		return res.status(401).json({
+			success: false,
+			message: "Invalid or expired personal access token.",
+		});
+	}
+
+	if (user.suspendedAt) {
+		return res.status(403).json({
+			success: false,
+			message: "Your account has been suspended.",
+		});
+	}
+
+	if (
+		!accessToken.lastUsedAt ||
+		Date.now() - accessToken.lastUsedAt.getTime() >
+			LAST_USED_UPDATE_INTERVAL_MS
+	) {
+		accessToken.lastUsedAt = new Date();
+		await accessToken.save();
+	}
+
+	req.user = user;
+	req.sessionId = null;
+	req.authenticatedWithCookie = false;
+	req.personalAccessToken = accessToken;
+	next();
+};
 
 /**
  * Authentication middleware to protect routes
- * This middleware validates the JWT token and attaches the user to the request object
+ * This middleware validates the JWT token (or personal access token) and
+ * attaches the user to the request object
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -17,17 +113,7 @@ dotenv.config();
 const authorize = async (req, res, next) => {
 	try {
 		// Extract token from headers or cookies
-		let token;
-
-		// Check Authorization header (Bearer token)
-		if (
-			req.headers.authorization &&
-			req.headers.authorization.startsWith("Bearer")
-		) {
-			// Split at the space and take the token part
-			// Format: "Bearer eyJhbGciOiJIUzI1NiIsIn..."
-			token = req.headers.authorization.split(" ")[1].trim();
-		}
+		const { token, fromCookie } = extractAccessToken(req);
 
 		// No token found
 		if (!token) {
@@ -37,8 +123,22 @@ const authorize = async (req, res, next) => {
 			});
 		}
 
+		// Cookies are sent automatically by the browser, so state-changing
+		// requests authenticated by cookie need a matching CSRF token
+		if (fromCookie && !hasValidCsrfToken(req)) {
+			return res.status(403).json({
+				success: false,
+				message: "Invalid or missing CSRF token",
+			});
+		}
+
+		// Personal access tokens are opaque and checked against the database
+		if (isPersonalAccessToken(token)) {
+			return await authorizePersonalAccessToken(req, res, next, token);
+		}
+
 		// Check if token is blacklisted (user has logged out)
-		if (isTokenBlacklisted(token)) {
+		if (await isTokenBlacklisted(token)) {
 			return res.status(401).json({
 				success: false,
 				message: "Session has been invalidated. Please log in again.",
@@ -46,11 +146,14 @@ const authorize = async (req, res, next) => {
 		}
 
 		try {
-			// Verify token and extract payload
-			const decoded = jwt.verify(token, "04058abefa84d9a7109e55111830e7e1d01474d8d10e667b8d1b9ba38b55447c");
+			// Verify token and extract payload - only access tokens are
+			// accepted, not refresh, 2FA or email verification tokens
+			const decoded = verifyJwt(token, {
+				audience: TOKEN_AUDIENCES.access,
+			});
 
 			// Check for required fields in token
-			if (!decoded.userId) {
+			if (!decoded.userId || !decoded.sessionId) {
 				throw new Error("Invalid token structure");
 			}
 
@@ -59,16 +162,43 @@ const authorize = async (req, res, next) => {
 				attributes: { exclude: ["password"] },
 			});
 
-			// User not found in database
-			if (!user) {
+			// User not found in database or account deleted
+			if (!user || user.deletedAt) {
 				return res.status(401).json({
 					success: false,
 					message: "User no longer exists. Please register again.",
 				});
 			}
 
-			// Set user info on request object
+			// Suspended accounts can't use the API
+			if (user.suspendedAt) {
+				return res.status(403).json({
+					success: false,
+					message: "Your account has been suspended.",
+				});
+			}
+
+			// The session must not have been revoked (signed out elsewhere)
+			const session = await Session.findOne({
+				where: {
+					id: decoded.sessionId,
+					userId: user.id,
+					expiresAt: { [Op.gt]: new Date() },
+				},
+				attributes: ["id"],
+			});
+
+			if (!session) {
+				return res.status(401).json({
+					success: false,
+					message: "Session has been invalidated. Please log in again.",
+				});
+			}
+
+			// Set user and session info on request object
 			req.user = user;
+			req.sessionId = decoded.sessionId;
+			req.authenticatedWithCookie = fromCookie;
 			next();
 		} catch (jwtError) {
 			// Handle different JWT error types
@@ -100,4 +230,79 @@ const authorize = async (req, res, next) => {
 	}
 };
 
+/**
+ * Authenticate the request if it carries a token, otherwise continue as a
+ * visitor - for public routes that show extra details to signed-in users.
+ * A token that is sent must be valid.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+export const optionalAuthorize = (req, res, next) => {
+	if (!extractAccessToken(req).token) {
+		return next();
+	}
+
+	return authorize(req, res, next);
+};
+
+/**
+ * Restrict a route to users who have verified their email address
+ * Must be used after the authorize middleware
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+	if (!req.user || !req.user.emailVerified) {
+		return res.status(403).json({
+			success: false,
+			message: "Please verify your email address to perform this action.",
+		});
+	}
+
+	next();
+};
+
+/**
+ * Restrict a route to users with one of the given roles
+ * Must be used after the authorize middleware
+ *
+ * @example userRouter.get("/reports", authorize, requireRole("moderator", "admin"), getReports)
+ * @param {...string} roles - Roles allowed to access the route
+ * @returns {Function} Express middleware
+ */
+export const requireRole = (...roles) => {
+	return (req, res, next) => {
+		if (!req.user || !roles.includes(req.user.role)) {
+			return res.status(403).json({
+				success: false,
+				message: "You do not have permission to perform this action.",
+			});
+		}
+
+		next();
+	};
+};
+
+/**
+ * Declare the scope a personal access token needs for a route
+ * Must be used BEFORE the authorize middleware. Routes without a scope reject
+ * personal access tokens; regular sign-in tokens are not affected.
+ *
+ * @example userRouter.post("/profile/youtube", requireScope("content:write"), authorize, addYoutubeLink)
+ * @param {string} scope - Required scope, e.g. "content:write"
+ * @returns {Function} Express middleware
+ */
+export const requireScope = (scope) => {
+	return (req, res, next) => {
+		req.requiredScope = scope;
+		next();
+	};
+};
+
 export default authorize;
@@ -1,13 +1,11 @@
+import config from "../config/env.config.js";
+
 /**
  * Custom CORS middleware for handling cross-origin requests
  * This is more flexible than the cors npm package for specific routes
  */
 const corsMiddleware = (req, res, next) => {
-	const allowedOrigins = [
-		"http://localhost:3005",
-		"http://localhost:3005",
-		"https://csmbd-assignment-frontend.vercel.app",
-	];
+	const allowedOrigins = config.cors.origins;
 
 	const origin = req.headers.origin;
 
@@ -16,11 +14,11 @@ const corsMiddleware = (req, res, next) => {
 		res.setHeader("Access-Control-Allow-Origin", origin || "*");
 		res.setHeader(
 			"Access-Control-Allow-Methods",
-			"GET, POST, PUT, DELETE, OPTIONS"
+			"GET, POST, PUT, PATCH, DELETE, OPTIONS"
 		);
 		res.setHeader(
 			"Access-Control-Allow-Headers",
-			"Content-Type, Authorization, X-Requested-With"
+			"Content-Type, Authorization, X-Requested-With, X-CSRF-Token, X-Auth-Mode"
 		);
 		res.setHeader("Access-Control-Allow-Credentials", "true");
 		res.setHeader("Access-Control-Max-Age", "86400"); // 24 hours
@@ -35,10 +33,10 @@ const corsMiddleware = (req, res, next) => {
 		res.setHeader("Access-Control-Allow-Origin", allowedOrigins[0]);
 	}
 
-	res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE");
+	res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE");
 	res.setHeader(
 		"Access-Control-Allow-Headers",
-		"Content-Type, Authorization, X-Requested-With"
+		"Content-Type, Authorization, X-Requested-With, X-CSRF-Token, X-Auth-Mode"
 	);
 	res.setHeader("Access-Control-Allow-Credentials", "true");
 
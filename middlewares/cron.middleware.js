@@ -0,0 +1,32 @@
+import crypto from "crypto";
+import config from "../config/env.config.js";
+
+/**
+ * Protect scheduled job endpoints
+ * Vercel Cron sends "Authorization: Bearer <CRON_SECRET>" with each call.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const requireCronSecret = (req, res, next) => {
+	const secret = config.cronSecret;
+	const expected = Buffer.from(`Bearer ${secret}`);
+	const received = Buffer.from(req.headers.authorization || "");
+
+	if (
+		!secret ||
+		expected.length !== received.length ||
+		!crypto.timingSafeEqual(expected, received)
+	) {
+		return res.status(401).json({
+			success: false,
+			message: "Unauthorized",
+		});
+	}
+
+	next();
+};
+
+export default requireCronSecret;
@@ -2,6 +2,7 @@ import crypto from "crypto";
 import fs from "fs";
 import multer from "multer";
 import path from "path";
+import config from "../config/env.config.js";
 
 /**
  * File upload configuration and middleware
@@ -29,8 +30,8 @@ const ALLOWED_FILE_TYPES = [
     "image/gif",
     "image/webp",
 ];
-// Maximum file size in bytes (2MB)
-const MAX_FILE_SIZE = 2 * 1024 * 1024;
+// Maximum file size in bytes (UPLOAD_MAX_FILE_SIZE_MB, 2MB by default)
+const MAX_FILE_SIZE = config.uploads.maxFileSizeBytes;
 
 // Configure storage options for uploaded files
 const storage = multer.diskStorage({
@@ -0,0 +1,44 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+import { User } from "./user.model.js";
+
+// Define Block model - "blocker blocked blocked"; works in both directions
+const Block = sequelize.define(
+    "Block",
+    {
+        blockerId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            field: "blocker_id",
+        },
+        blockedId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            field: "blocked_id",
+        },
+    },
+    {
+        tableName: "blocks",
+        underscored: true,
+        timestamps: true,
+        updatedAt: false,
+        indexes: [{ fields: ["blocked_id"] }],
+    }
+);
+
+// Blocks are removed together with either user
+User.hasMany(Block, {
+    foreignKey: "blockerId",
+    as: "blocks",
+    onDelete: "CASCADE",
+});
+User.hasMany(Block, {
+    foreignKey: "blockedId",
+    as: "blockedBy",
+    onDelete: "CASCADE",
+});
+Block.belongsTo(User, { foreignKey: "blockerId", as: "blocker" });
+Block.belongsTo(User, { foreignKey: "blockedId", as: "blocked" });
+
+export { Block };
+export default Block;
@@ -0,0 +1,76 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+import { Content } from "./content.model.js";
+import { User } from "./user.model.js";
+
+// Define Comment model - comments on content, replies have a parent comment
+// Only one level of replies: the parent is always a top-level comment
+const Comment = sequelize.define(
+    "Comment",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        contentId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: "content_id",
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: "user_id",
+        },
+        parentId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            field: "parent_id",
+        },
+        body: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+        },
+        // Set when the author changed the comment
+        editedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: "edited_at",
+        },
+    },
+    {
+        tableName: "comments",
+        underscored: true,
+        timestamps: true,
+        indexes: [
+            { fields: ["content_id", "created_at"] },
+            { fields: ["parent_id", "created_at"] },
+            { fields: ["user_id"] },
+        ],
+    }
+);
+
+// Comments are removed together with the content, the author or the
+// comment they reply to
+Content.hasMany(Comment, {
+    foreignKey: "contentId",
+    as: "comments",
+    onDelete: "CASCADE",
+});
+User.hasMany(Comment, {
+    foreignKey: "userId",
+    as: "comments",
+    onDelete: "CASCADE",
+});
+Comment.hasMany(Comment, {
+    foreignKey: "parentId",
+    as: "replies",
+    onDelete: "CASCADE",
+});
+Comment.belongsTo(Content, { foreignKey: "contentId", as: "content" });
+Comment.belongsTo(User, { foreignKey: "userId", as: "author" });
+Comment.belongsTo(Comment, { foreignKey: "parentId", as: "parent" });
+
+export { Comment };
+export default Comment;
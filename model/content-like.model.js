@@ -0,0 +1,45 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+import { Content } from "./content.model.js";
+import { User } from "./user.model.js";
+
+// Define ContentLike model - one like per user and content item
+const ContentLike = sequelize.define(
+    "ContentLike",
+    {
+        contentId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            field: "content_id",
+        },
+        userId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            field: "user_id",
+        },
+    },
+    {
+        tableName: "content_likes",
+        underscored: true,
+        timestamps: true,
+        updatedAt: false,
+        indexes: [{ fields: ["user_id"] }],
+    }
+);
+
+// Likes are removed together with the content or the user
+Content.hasMany(ContentLike, {
+    foreignKey: "contentId",
+    as: "likes",
+    onDelete: "CASCADE",
+});
+User.hasMany(ContentLike, {
+    foreignKey: "userId",
+    as: "contentLikes",
+    onDelete: "CASCADE",
+});
+ContentLike.belongsTo(Content, { foreignKey: "contentId", as: "content" });
+ContentLike.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+export { ContentLike };
+export default ContentLike;
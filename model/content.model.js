@@ -0,0 +1,91 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+import { User } from "./user.model.js";
+
+// Fields of a YouTube link as it is shown to clients
+const CONTENT_ATTRIBUTES = [
+    "id",
+    "url",
+    "videoId",
+    "embedUrl",
+    "thumbnailUrl",
+    "title",
+    "description",
+    "addedAt",
+];
+
+// Define Content model - a YouTube video shared on a profile
+const Content = sequelize.define(
+    "Content",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: "user_id",
+        },
+        // Canonical watch URL, see utils/youtube.util.js
+        url: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+        },
+        // Missing for old links that couldn't be parsed
+        videoId: {
+            type: DataTypes.STRING(11),
+            allowNull: true,
+            field: "video_id",
+        },
+        embedUrl: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: "embed_url",
+        },
+        thumbnailUrl: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: "thumbnail_url",
+        },
+        title: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+        // Display order on the profile, set by the owner
+        position: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+    },
+    {
+        tableName: "contents",
+        underscored: true,
+        timestamps: true,
+        // Links were always returned with an addedAt date
+        createdAt: "addedAt",
+        indexes: [
+            { fields: ["added_at"] },
+            { fields: ["user_id", "added_at"] },
+            // The same video can only be on a profile once
+            { unique: true, fields: ["user_id", "video_id"] },
+        ],
+    }
+);
+
+// Videos are removed together with the user
+User.hasMany(Content, {
+    foreignKey: "userId",
+    as: "youtubeLinks",
+    onDelete: "CASCADE",
+});
+Content.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+export { Content, CONTENT_ATTRIBUTES };
+export default Content;
@@ -0,0 +1,53 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+import { User } from "./user.model.js";
+
+// Follows of private profiles stay pending until the owner approves them
+const FOLLOW_STATUSES = ["pending", "accepted"];
+
+// Define Follow model - "follower follows following"
+const Follow = sequelize.define(
+    "Follow",
+    {
+        followerId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            field: "follower_id",
+        },
+        followingId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            field: "following_id",
+        },
+        status: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            defaultValue: "accepted",
+            validate: { isIn: [FOLLOW_STATUSES] },
+        },
+    },
+    {
+        tableName: "follows",
+        underscored: true,
+        timestamps: true,
+        updatedAt: false,
+        indexes: [{ fields: ["following_id"] }],
+    }
+);
+
+// Follow relationships are removed together with either user
+User.hasMany(Follow, {
+    foreignKey: "followerId",
+    as: "followingLinks",
+    onDelete: "CASCADE",
+});
+User.hasMany(Follow, {
+    foreignKey: "followingId",
+    as: "followerLinks",
+    onDelete: "CASCADE",
+});
+Follow.belongsTo(User, { foreignKey: "followerId", as: "follower" });
+Follow.belongsTo(User, { foreignKey: "followingId", as: "following" });
+
+export { Follow, FOLLOW_STATUSES };
+export default Follow;
@@ -0,0 +1,38 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+import { User } from "./user.model.js";
+
+// Define HandleRedirect model - previous handles that still lead to a profile
+const HandleRedirect = sequelize.define(
+    "HandleRedirect",
+    {
+        // Old handle, kept so shared links keep working
+        handle: {
+            type: DataTypes.STRING(30),
+            primaryKey: true,
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: "user_id",
+        },
+    },
+    {
+        tableName: "handle_redirects",
+        underscored: true,
+        timestamps: true,
+        updatedAt: false,
+        indexes: [{ fields: ["user_id"] }],
+    }
+);
+
+// Old handles are released together with the user
+User.hasMany(HandleRedirect, {
+    foreignKey: "userId",
+    as: "handleRedirects",
+    onDelete: "CASCADE",
+});
+HandleRedirect.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+export { HandleRedirect };
+export default HandleRedirect;
@@ -0,0 +1,37 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+
+// Define LoginThrottle model - failed sign-in attempts per account or IP
+const LoginThrottle = sequelize.define(
+    "LoginThrottle",
+    {
+        // "account:<email>" or "ip:<address>"
+        key: {
+            type: DataTypes.STRING(320),
+            primaryKey: true,
+        },
+        failures: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+        lastFailureAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: "last_failure_at",
+        },
+        lockedUntil: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: "locked_until",
+        },
+    },
+    {
+        tableName: "login_throttles",
+        underscored: true,
+        timestamps: true,
+    }
+);
+
+export { LoginThrottle };
+export default LoginThrottle;
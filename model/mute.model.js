@@ -0,0 +1,43 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+import { User } from "./user.model.js";
+
+// Define Mute model - the muted user's content is hidden from the muter only
+const Mute = sequelize.define(
+    "Mute",
+    {
+        muterId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            field: "muter_id",
+        },
+        mutedId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            field: "muted_id",
+        },
+    },
+    {
+        tableName: "mutes",
+        underscored: true,
+        timestamps: true,
+        updatedAt: false,
+    }
+);
+
+// Mutes are removed together with either user
+User.hasMany(Mute, {
+    foreignKey: "muterId",
+    as: "mutes",
+    onDelete: "CASCADE",
+});
+User.hasMany(Mute, {
+    foreignKey: "mutedId",
+    as: "mutedBy",
+    onDelete: "CASCADE",
+});
+Mute.belongsTo(User, { foreignKey: "muterId", as: "muter" });
+Mute.belongsTo(User, { foreignKey: "mutedId", as: "muted" });
+
+export { Mute };
+export default Mute;
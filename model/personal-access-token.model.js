@@ -0,0 +1,79 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+import { User } from "./user.model.js";
+
+// Define PersonalAccessToken model - named, scoped tokens for scripts
+const PersonalAccessToken = sequelize.define(
+    "PersonalAccessToken",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: "user_id",
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+        },
+        // SHA-256 hash of the token - the token itself is only shown once
+        tokenHash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            unique: true,
+            field: "token_hash",
+        },
+        // First characters of the token so users can recognise it in lists
+        tokenPrefix: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            field: "token_prefix",
+        },
+        scopes: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+        },
+        lastUsedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: "last_used_at",
+        },
+        // Null means the token never expires
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: "expires_at",
+        },
+        // tokenVersion of the user when the token was created - signing out
+        // everywhere (password change, reset, forced sign-out) bumps the
+        // user's version and so revokes the token too
+        tokenVersion: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            field: "token_version",
+        },
+    },
+    {
+        tableName: "personal_access_tokens",
+        underscored: true,
+        timestamps: true,
+        indexes: [{ fields: ["user_id"] }],
+    }
+);
+
+// A user has many tokens, removed together with the user
+User.hasMany(PersonalAccessToken, {
+    foreignKey: "userId",
+    as: "personalAccessTokens",
+    onDelete: "CASCADE",
+});
+PersonalAccessToken.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+export { PersonalAccessToken };
+export default PersonalAccessToken;
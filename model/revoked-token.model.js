@@ -0,0 +1,30 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+
+// Define RevokedToken model - access tokens that were invalidated before expiry
+const RevokedToken = sequelize.define(
+    "RevokedToken",
+    {
+        // JWT ID of the revoked token
+        jti: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+        },
+        // When the token expires anyway - the row can be pruned after this
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: "expires_at",
+        },
+    },
+    {
+        tableName: "revoked_tokens",
+        underscored: true,
+        timestamps: true,
+        updatedAt: false,
+        indexes: [{ fields: ["expires_at"] }],
+    }
+);
+
+export { RevokedToken };
+export default RevokedToken;
@@ -0,0 +1,70 @@
+import { DataTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+import { User } from "./user.model.js";
+
+// Define Session model - one row per signed-in device
+const Session = sequelize.define(
+    "Session",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            field: "user_id",
+        },
+        // SHA-256 hash of the refresh token currently issued to this device
+        refreshTokenHash: {
+            type: DataTypes.STRING(64),
+            allowNull: true,
+            field: "refresh_token_hash",
+        },
+        // Short human readable description, e.g. "Chrome on Windows"
+        device: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
+        userAgent: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: "user_agent",
+        },
+        ipAddress: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+            field: "ip_address",
+        },
+        lastUsedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+            field: "last_used_at",
+        },
+        // Sessions expire together with their refresh token
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            field: "expires_at",
+        },
+    },
+    {
+        tableName: "sessions",
+        underscored: true,
+        timestamps: true,
+        indexes: [{ fields: ["user_id"] }],
+    }
+);
+
+// A user has many sessions, removed together with the user
+User.hasMany(Session, {
+    foreignKey: "userId",
+    as: "sessions",
+    onDelete: "CASCADE",
+});
+Session.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+export { Session };
+export default Session;
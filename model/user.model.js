@@ -2,6 +2,25 @@ import bcrypt from "bcryptjs";
 import Joi from "joi";
 import { DataTypes } from "sequelize";
 import { sequelize } from "../database/postgresql.js";
+import { passwordSchema } from "../utils/password.util.js";
+import { parseYoutubeUrl } from "../utils/youtube.util.js";
+
+// Scopes a personal access token can be granted
+const TOKEN_SCOPES = [
+    "profile:read",
+    "profile:write",
+    "content:read",
+    "content:write",
+];
+
+// Available roles, from least to most privileged
+const USER_ROLES = ["user", "moderator", "admin"];
+
+// Public handles: letters, digits and underscores, stored in lowercase
+const HANDLE_PATTERN = /^[a-z0-9_]{3,30}$/;
+
+// Sort orders of the public user directory
+const DIRECTORY_SORTS = ["newest", "name", "most-content"];
 
 // Define User model using Sequelize
 const User = sequelize.define(
@@ -23,6 +42,56 @@ const User = sequelize.define(
                 },
             },
         },
+        // Unique public name used in profile URLs
+        handle: {
+            type: DataTypes.STRING(30),
+            allowNull: false,
+            unique: true,
+            set(value) {
+                this.setDataValue(
+                    "handle",
+                    typeof value === "string" ? value.toLowerCase() : value
+                );
+            },
+            validate: {
+                notNull: { msg: "Handle is required" },
+                is: {
+                    args: HANDLE_PATTERN,
+                    msg: "Handle must be 3-30 letters, numbers or underscores",
+                },
+            },
+        },
+        // Privacy settings
+        hideEmail: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+            field: "hide_email",
+        },
+        hideLocation: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            field: "hide_location",
+        },
+        // Only approved followers see the content of a private profile
+        privateProfile: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            field: "private_profile",
+        },
+        hideFromDirectory: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            field: "hide_from_directory",
+        },
+        handleChangedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: "handle_changed_at",
+        },
         email: {
             type: DataTypes.STRING,
             allowNull: false,
@@ -43,13 +112,92 @@ const User = sequelize.define(
                 },
             },
         },
-        // Add refresh token field to store user's refresh tokens
-        refreshToken: {
+        role: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            defaultValue: "user",
+            validate: {
+                isIn: {
+                    args: [USER_ROLES],
+                    msg: `Role must be one of: ${USER_ROLES.join(", ")}`,
+                },
+            },
+        },
+        // Set while an account is suspended by a moderator
+        suspendedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: "suspended_at",
+        },
+        suspensionReason: {
             type: DataTypes.TEXT,
             allowNull: true,
-            field: "refresh_token",
+            field: "suspension_reason",
+        },
+        // Set when the user deletes their account - purged after the grace period
+        deletedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: "deleted_at",
+        },
+        // Whether the user has confirmed ownership of their email address
+        emailVerified: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            field: "email_verified",
+        },
+        // ID (jti) of the latest verification token - cleared once used
+        emailVerificationTokenId: {
+            type: DataTypes.STRING(64),
+            allowNull: true,
+            field: "email_verification_token_id",
+        },
+        // SHA-256 hash of the current password reset token and its expiry
+        passwordResetTokenHash: {
+            type: DataTypes.STRING(64),
+            allowNull: true,
+            field: "password_reset_token_hash",
+        },
+        passwordResetExpiresAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            field: "password_reset_expires_at",
+        },
+        // TOTP two-factor authentication
+        twoFactorEnabled: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            field: "two_factor_enabled",
+        },
+        // Base32 secret - set once enrollment is confirmed
+        twoFactorSecret: {
+            type: DataTypes.STRING(64),
+            allowNull: true,
+            field: "two_factor_secret",
+        },
+        // Secret generated by enroll, waiting for the first valid code
+        twoFactorPendingSecret: {
+            type: DataTypes.STRING(64),
+            allowNull: true,
+            field: "two_factor_pending_secret",
         },
-        // Add token version for enhanced security - increment on password change or forced logout
+        // Last accepted time step - a code can't be used twice
+        twoFactorLastStep: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: "two_factor_last_step",
+        },
+        // SHA-256 hashes of the unused one-time recovery codes
+        twoFactorRecoveryCodes: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+            field: "two_factor_recovery_codes",
+        },
+        // Token version for enhanced security - increment on password change or forced logout
+        // Refresh tokens themselves are stored per device in the sessions table
         tokenVersion: {
             type: DataTypes.INTEGER,
             allowNull: false,
@@ -71,13 +219,6 @@ const User = sequelize.define(
             allowNull: true,
             field: "profile_picture",
         },
-        // Array to store YouTube embed links as JSON
-        youtubeLinks: {
-            type: DataTypes.JSONB,
-            allowNull: true,
-            defaultValue: [],
-            field: "youtube_links",
-        },
     },
     {
         tableName: "users",
@@ -104,11 +245,66 @@ const User = sequelize.define(
     }
 );
 
+// Accounts visitors may see - not suspended and not pending deletion
+User.addScope("visible", {
+    where: { suspendedAt: null, deletedAt: null },
+});
+
 // Instance method to compare password
 User.prototype.comparePassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Attributes that must never be sent to clients
+const PRIVATE_ATTRIBUTES = [
+    "password",
+    "tokenVersion",
+    "emailVerificationTokenId",
+    "passwordResetTokenHash",
+    "passwordResetExpiresAt",
+    "twoFactorSecret",
+    "twoFactorPendingSecret",
+    "twoFactorLastStep",
+    "twoFactorRecoveryCodes",
+    "suspendedAt",
+    "suspensionReason",
+    "deletedAt",
+    "handleChangedAt",
+];
+
+// Handle as typed by users, case doesn't matter
+const handleSchema = Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(HANDLE_PATTERN)
+    .messages({
+        "string.empty": "Handle is required",
+        "string.pattern.base":
+            "Handle must be 3-30 letters, numbers or underscores",
+    });
+
+// YouTube link fields, shared by adding and editing links
+const youtubeLinkFields = {
+    // Only links to a single video, see utils/youtube.util.js
+    youtubeUrl: Joi.string()
+        .max(2048)
+        .custom((value, helpers) =>
+            parseYoutubeUrl(value) ? value : helpers.error("string.youtube")
+        )
+        .messages({
+            "string.empty": "YouTube URL is required",
+            "string.max": "Invalid YouTube URL format",
+            "string.youtube": "URL must link to a YouTube video",
+        }),
+    title: Joi.string().max(100).messages({
+        "string.empty": "Title is required",
+        "string.max": "Title must be less than 100 characters",
+    }),
+    description: Joi.string().max(1000).allow("").messages({
+        "string.max": "Description must be less than 1000 characters",
+    }),
+};
+
 // Joi validation schemas
 const userValidation = {
     register: Joi.object({
@@ -121,10 +317,11 @@ const userValidation = {
             "string.empty": "Email is required",
             "string.email": "Please enter a valid email address",
         }),
-        password: Joi.string().min(8).required().messages({
-            "string.empty": "Password is required",
-            "string.min": "Password must be at least 8 characters long",
+        password: passwordSchema.required().messages({
+            "any.required": "Password is required",
         }),
+        // Suggested from the name when left out
+        handle: handleSchema.optional(),
     }),
 
     login: Joi.object({
@@ -137,6 +334,85 @@ const userValidation = {
         }),
     }),
 
+    verifyEmail: Joi.object({
+        token: Joi.string().required().messages({
+            "string.empty": "Verification token is required",
+            "any.required": "Verification token is required",
+        }),
+    }),
+
+    resendVerification: Joi.object({
+        email: Joi.string().email().required().messages({
+            "string.empty": "Email is required",
+            "string.email": "Please enter a valid email address",
+        }),
+    }),
+
+    signInTwoFactor: Joi.object({
+        mfaToken: Joi.string().required().messages({
+            "string.empty": "MFA token is required",
+            "any.required": "MFA token is required",
+        }),
+        code: Joi.string().trim().max(20).required().messages({
+            "string.empty": "Authentication code is required",
+            "any.required": "Authentication code is required",
+        }),
+    }),
+
+    twoFactorCode: Joi.object({
+        code: Joi.string().trim().max(20).required().messages({
+            "string.empty": "Authentication code is required",
+            "any.required": "Authentication code is required",
+        }),
+    }),
+
+    disableTwoFactor: Joi.object({
+        password: Joi.string().required().messages({
+            "string.empty": "Password is required",
+            "any.required": "Password is required",
+        }),
+        code: Joi.string().trim().max(20).required().messages({
+            "string.empty": "Authentication code is required",
+            "any.required": "Authentication code is required",
+        }),
+    }),
+
+    forgotPassword: Joi.object({
+        email: Joi.string().email().required().messages({
+            "string.empty": "Email is required",
+            "string.email": "Please enter a valid email address",
+        }),
+    }),
+
+    resetPassword: Joi.object({
+        token: Joi.string().required().messages({
+            "string.empty": "Reset token is required",
+            "any.required": "Reset token is required",
+        }),
+        password: passwordSchema.required().messages({
+            "any.required": "Password is required",
+        }),
+    }),
+
+    changePassword: Joi.object({
+        currentPassword: Joi.string().required().messages({
+            "string.empty": "Current password is required",
+            "any.required": "Current password is required",
+        }),
+        newPassword: passwordSchema.required().messages({
+            "any.required": "New password is required",
+        }),
+    }),
+
+    deleteAccount: Joi.object({
+        password: Joi.string().required().messages({
+            "string.empty": "Password is required",
+            "any.required": "Password is required",
+        }),
+        // Required when two-factor authentication is enabled
+        code: Joi.string().trim().max(20).optional(),
+    }),
+
     updateProfile: Joi.object({
         name: Joi.string().min(3).max(50).messages({
             "string.min": "Name must be at least 3 characters long",
@@ -152,19 +428,172 @@ const userValidation = {
 
     // Add validation for YouTube link
     addYoutubeLink: Joi.object({
-        youtubeUrl: Joi.string()
+        youtubeUrl: youtubeLinkFields.youtubeUrl.required(),
+        title: youtubeLinkFields.title.required(),
+        description: youtubeLinkFields.description,
+    }),
+
+    // Edit a YouTube link - only the given fields change
+    updateYoutubeLink: Joi.object(youtubeLinkFields).min(1).messages({
+        "object.min": "Nothing to update",
+    }),
+
+    // Display order of the own YouTube links, all of them
+    reorderYoutubeLinks: Joi.object({
+        linkIds: Joi.array()
+            .items(Joi.string().guid())
+            .unique()
+            .required()
+            .messages({
+                "string.guid": "Link ids must be valid ids",
+                "array.unique": "Link ids must not repeat",
+                "any.required": "Link ids are required",
+            }),
+    }),
+
+    // Personal access tokens for scripts and integrations
+    createAccessToken: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required().messages({
+            "string.empty": "Token name is required",
+            "any.required": "Token name is required",
+            "string.max": "Token name must be less than 100 characters",
+        }),
+        scopes: Joi.array()
+            .items(Joi.string().valid(...TOKEN_SCOPES))
+            .min(1)
             .required()
-            .pattern(/^(https?:\/\/)?(www\.)?(youtube\.com|youtu\.be)\/.*$/)
             .messages({
-                "string.empty": "YouTube URL is required",
-                "string.pattern.base": "Invalid YouTube URL format",
+                "any.only": `Scopes must be any of: ${TOKEN_SCOPES.join(", ")}`,
+                "array.min": "At least one scope is required",
+                "any.required": "At least one scope is required",
             }),
-        title: Joi.string().max(100).required().messages({
-            "string.empty": "Title is required",
-            "string.max": "Title must be less than 100 characters",
+        expiresInDays: Joi.number().integer().min(1).max(365).messages({
+            "number.base": "Expiry must be a number of days",
+            "number.min": "Expiry must be at least 1 day",
+            "number.max": "Expiry cannot exceed 365 days",
+        }),
+    }),
+
+    updateHandle: Joi.object({
+        handle: handleSchema.required().messages({
+            "any.required": "Handle is required",
+        }),
+    }),
+
+    updatePrivacy: Joi.object({
+        hideEmail: Joi.boolean(),
+        hideLocation: Joi.boolean(),
+        privateProfile: Joi.boolean(),
+        hideFromDirectory: Joi.boolean(),
+    })
+        .min(1)
+        .messages({
+            "object.min": "At least one privacy setting is required",
+        }),
+
+    // Public user directory: search, filter and sort
+    getUsers: Joi.object({
+        q: Joi.string().trim().max(100).allow(""),
+        location: Joi.string().trim().max(100).allow(""),
+        hasContent: Joi.boolean().messages({
+            "boolean.base": "hasContent must be true or false",
+        }),
+        sort: Joi.string().valid(...DIRECTORY_SORTS).messages({
+            "any.only": `Sort must be one of: ${DIRECTORY_SORTS.join(", ")}`,
+        }),
+        page: Joi.number().integer().min(1).messages({
+            "number.base": "Page must be a number",
+            "number.min": "Page must be at least 1",
+        }),
+        limit: Joi.number().integer().min(1).max(100).messages({
+            "number.base": "Limit must be a number",
+            "number.min": "Limit must be at least 1",
+            "number.max": "Limit cannot exceed 100",
         }),
     }),
 
+    // Home feed
+    getFeed: Joi.object({
+        cursor: Joi.string().max(200),
+        limit: Joi.number().integer().min(1).max(50).messages({
+            "number.base": "Limit must be a number",
+            "number.min": "Limit must be at least 1",
+            "number.max": "Limit cannot exceed 50",
+        }),
+    }),
+
+    // Followers / following lists
+    listFollows: Joi.object({
+        page: Joi.number().integer().min(1).messages({
+            "number.base": "Page must be a number",
+            "number.min": "Page must be at least 1",
+        }),
+        limit: Joi.number().integer().min(1).max(100).messages({
+            "number.base": "Limit must be a number",
+            "number.min": "Limit must be at least 1",
+            "number.max": "Limit cannot exceed 100",
+        }),
+    }),
+
+    // Comments on content
+    createComment: Joi.object({
+        body: Joi.string().trim().min(1).max(2000).required().messages({
+            "string.empty": "Comment is required",
+            "any.required": "Comment is required",
+            "string.max": "Comment must be less than 2000 characters",
+        }),
+        parentId: Joi.string().guid().messages({
+            "string.guid": "Parent comment id must be a valid id",
+        }),
+    }),
+
+    updateComment: Joi.object({
+        body: Joi.string().trim().min(1).max(2000).required().messages({
+            "string.empty": "Comment is required",
+            "any.required": "Comment is required",
+            "string.max": "Comment must be less than 2000 characters",
+        }),
+    }),
+
+    listComments: Joi.object({
+        page: Joi.number().integer().min(1).messages({
+            "number.base": "Page must be a number",
+            "number.min": "Page must be at least 1",
+        }),
+        limit: Joi.number().integer().min(1).max(100).messages({
+            "number.base": "Limit must be a number",
+            "number.min": "Limit must be at least 1",
+            "number.max": "Limit cannot exceed 100",
+        }),
+    }),
+
+    // Admin: list and search users
+    adminListUsers: Joi.object({
+        q: Joi.string().trim().max(100).allow(""),
+        role: Joi.string().valid(...USER_ROLES).messages({
+            "any.only": `Role must be one of: ${USER_ROLES.join(", ")}`,
+        }),
+        status: Joi.string().valid("active", "suspended").messages({
+            "any.only": "Status must be one of: active, suspended",
+        }),
+        page: Joi.number().integer().min(1),
+        limit: Joi.number().integer().min(1).max(100),
+    }),
+
+    suspendUser: Joi.object({
+        reason: Joi.string().trim().max(500).allow("").optional(),
+    }),
+
+    updateRole: Joi.object({
+        role: Joi.string()
+            .valid(...USER_ROLES)
+            .required()
+            .messages({
+                "any.only": `Role must be one of: ${USER_ROLES.join(", ")}`,
+                "any.required": "Role is required",
+            }),
+    }),
+
     // Add validation for content retrieval
     getAllContent: Joi.object({
         page: Joi.number().integer().min(1).messages({
@@ -185,5 +614,13 @@ const userValidation = {
     }),
 };
 
-export { User, userValidation };
+export {
+    DIRECTORY_SORTS,
+    HANDLE_PATTERN,
+    PRIVATE_ATTRIBUTES,
+    TOKEN_SCOPES,
+    User,
+    USER_ROLES,
+    userValidation,
+};
 export default User;
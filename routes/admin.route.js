@@ -0,0 +1,44 @@
+import { Router } from "express";
+import {
+    forceSignOut,
+    getUser,
+    listUsers,
+    removeUserYoutubeLink,
+    suspendUser,
+    unsuspendUser,
+    updateUserRole,
+} from "../controllers/admin.controller.js";
+import authorize, { requireRole } from "../middlewares/auth.middleware.js";
+
+/**
+ * Admin Routes Configuration
+ *
+ * Every route requires authentication and at least the moderator role.
+ * Moderators can only act on regular users, admins also on moderators.
+ */
+const adminRouter = Router();
+
+adminRouter.use(authorize, requireRole("moderator", "admin"));
+
+// /api/v1/admin/users - list and search users
+adminRouter.get("/users", listUsers);
+
+// /api/v1/admin/users/:id
+adminRouter.get("/users/:id", getUser);
+
+// /api/v1/admin/users/:id/suspend
+adminRouter.post("/users/:id/suspend", suspendUser);
+
+// /api/v1/admin/users/:id/unsuspend
+adminRouter.post("/users/:id/unsuspend", unsuspendUser);
+
+// /api/v1/admin/users/:id/signout - force sign-out on every device
+adminRouter.post("/users/:id/signout", forceSignOut);
+
+// /api/v1/admin/users/:id/youtube/:linkId - remove an offending link
+adminRouter.delete("/users/:id/youtube/:linkId", removeUserYoutubeLink);
+
+// /api/v1/admin/users/:id/role - admins only
+adminRouter.put("/users/:id/role", requireRole("admin"), updateUserRole);
+
+export default adminRouter;
@@ -1,10 +1,30 @@
 import { Router } from "express";
 import {
+    createAccessToken,
+    getAccessTokens,
+    revokeAccessToken,
+} from "../controllers/access-token.controller.js";
+import {
+    forgotPassword,
+    getCsrfToken,
+    getSessions,
     refreshToken,
+    resendVerification,
+    resetPassword,
+    revokeOtherSessions,
+    revokeSession,
     signIn,
+    signInTwoFactor,
     signOut,
     signUp,
+    verifyEmail,
 } from "../controllers/auth.controller.js";
+import {
+    confirmTwoFactor,
+    disableTwoFactor,
+    enrollTwoFactor,
+    regenerateRecoveryCodes,
+} from "../controllers/two-factor.controller.js";
 import authorize from "../middlewares/auth.middleware.js";
 
 const authRouter = Router();
@@ -15,10 +35,58 @@ authRouter.post("/signup", signUp);
 // /api/v1/auth/signin
 authRouter.post("/signin", signIn);
 
+// /api/v1/auth/signin/2fa - second step when two-factor auth is enabled
+authRouter.post("/signin/2fa", signInTwoFactor);
+
 // /api/v1/auth/refresh-token
 authRouter.post("/refresh-token", refreshToken);
 
+// /api/v1/auth/verify-email
+authRouter.post("/verify-email", verifyEmail);
+
+// /api/v1/auth/resend-verification
+authRouter.post("/resend-verification", resendVerification);
+
+// /api/v1/auth/forgot-password
+authRouter.post("/forgot-password", forgotPassword);
+
+// /api/v1/auth/reset-password
+authRouter.post("/reset-password", resetPassword);
+
+// /api/v1/auth/csrf-token - current CSRF token for cookie mode clients
+authRouter.get("/csrf-token", getCsrfToken);
+
 // /api/v1/auth/signout - requires authentication
 authRouter.post("/signout", authorize, signOut);
 
+// /api/v1/auth/sessions - list signed-in devices
+authRouter.get("/sessions", authorize, getSessions);
+
+// /api/v1/auth/sessions - sign out everywhere else
+authRouter.delete("/sessions", authorize, revokeOtherSessions);
+
+// /api/v1/auth/sessions/:id - sign out a single device
+authRouter.delete("/sessions/:id", authorize, revokeSession);
+
+// /api/v1/auth/2fa/enroll - generate a TOTP secret
+authRouter.post("/2fa/enroll", authorize, enrollTwoFactor);
+
+// /api/v1/auth/2fa/confirm - enable 2FA with a first valid code
+authRouter.post("/2fa/confirm", authorize, confirmTwoFactor);
+
+// /api/v1/auth/2fa/disable - requires password and a code
+authRouter.post("/2fa/disable", authorize, disableTwoFactor);
+
+// /api/v1/auth/2fa/recovery-codes - replace the recovery codes
+authRouter.post("/2fa/recovery-codes", authorize, regenerateRecoveryCodes);
+
+// /api/v1/auth/tokens - list personal access tokens
+authRouter.get("/tokens", authorize, getAccessTokens);
+
+// /api/v1/auth/tokens - create a personal access token (shown once)
+authRouter.post("/tokens", authorize, createAccessToken);
+
+// /api/v1/auth/tokens/:id - revoke a personal access token
+authRouter.delete("/tokens/:id", authorize, revokeAccessToken);
+
 export default authRouter;
@@ -0,0 +1,76 @@
+import { Router } from "express";
+import {
+    createComment,
+    deleteComment,
+    getComments,
+    getReplies,
+    updateComment,
+} from "../controllers/comment.controller.js";
+import {
+    likeContent,
+    unlikeContent,
+} from "../controllers/content.controller.js";
+import authorize, {
+    optionalAuthorize,
+    requireScope,
+    requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
+
+const contentRouter = Router();
+
+// /api/v1/content/:id/like - like or unlike a content item
+contentRouter.post(
+    "/:id/like",
+    requireScope("content:write"),
+    authorize,
+    likeContent
+);
+contentRouter.delete(
+    "/:id/like",
+    requireScope("content:write"),
+    authorize,
+    unlikeContent
+);
+
+// /api/v1/content/:id/comments - top-level comments, oldest first
+contentRouter.get(
+    "/:id/comments",
+    requireScope("content:read"),
+    optionalAuthorize,
+    getComments
+);
+
+// Comment or reply - requires a verified email
+contentRouter.post(
+    "/:id/comments",
+    requireScope("content:write"),
+    authorize,
+    requireVerifiedEmail,
+    createComment
+);
+
+// /api/v1/content/:id/comments/:commentId/replies
+contentRouter.get(
+    "/:id/comments/:commentId/replies",
+    requireScope("content:read"),
+    optionalAuthorize,
+    getReplies
+);
+
+// Edit own comment within the edit window
+contentRouter.patch(
+    "/:id/comments/:commentId",
+    requireScope("content:write"),
+    authorize,
+    updateComment
+);
+
+// Delete own comment or a comment on own content
+contentRouter.delete(
+    "/:id/comments/:commentId",
+    requireScope("content:write"),
+    authorize,
+    deleteComment
+);
+
+export default contentRouter;
@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { purgeDeletedAccountsJob } from "../controllers/cron.controller.js";
+import requireCronSecret from "../middlewares/cron.middleware.js";
+
+/**
+ * Scheduled job routes - called by Vercel Cron (see vercel.json)
+ */
+const cronRouter = Router();
+
+cronRouter.use(requireCronSecret);
+
+// /api/cron/purge-deleted-accounts
+cronRouter.get("/purge-deleted-accounts", purgeDeletedAccountsJob);
+
+export default cronRouter;
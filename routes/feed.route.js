@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { getFeed } from "../controllers/feed.controller.js";
+import authorize, { requireScope } from "../middlewares/auth.middleware.js";
+
+const feedRouter = Router();
+
+// /api/v1/feed - content from followed users, cursor paginated
+feedRouter.get("/", requireScope("content:read"), authorize, getFeed);
+
+export default feedRouter;
@@ -1,15 +1,45 @@
 import { Router } from "express";
+import {
+    blockUser,
+    getBlockedUsers,
+    getMutedUsers,
+    muteUser,
+    unblockUser,
+    unmuteUser,
+} from "../controllers/block.controller.js";
+import {
+    approveFollowRequest,
+    declineFollowRequest,
+    followUser,
+    getFollowers,
+    getFollowing,
+    getFollowRequests,
+    unfollowUser,
+} from "../controllers/follow.controller.js";
 import {
     addYoutubeLink,
+    changePassword,
+    deleteAccount,
+    exportAccountData,
     getAllContent,
+    getPrivacySettings,
     getProfile,
     getProfilePicture,
+    getUserByHandle,
     getUserById,
     getUsers,
     removeYoutubeLink,
+    reorderYoutubeLinks,
+    updateHandle,
+    updatePrivacySettings,
     updateProfile,
+    updateYoutubeLink,
 } from "../controllers/user.controller.js";
-import authorize from "../middlewares/auth.middleware.js";
+import authorize, {
+    optionalAuthorize,
+    requireScope,
+    requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
 import corsMiddleware from "../middlewares/cors.middleware.js";
 import {
     handleMulterError,
@@ -22,42 +52,183 @@ import {
  * IMPORTANT: Route order matters in Express!
  * More specific routes should come before dynamic routes with path parameters.
  * For example, '/content' must be defined before '/:id' to avoid treating 'content' as an ID.
+ *
+ * Routes that accept personal access tokens declare the required scope with
+ * requireScope before authorize. All other protected routes reject them.
  */
 const userRouter = Router();
 
 // Public routes - Visitor Access
 
-// Get all users with pagination
-userRouter.get("/", getUsers);
+// Get all users with pagination - privacy settings decide what is shown
+userRouter.get("/", requireScope("profile:read"), optionalAuthorize, getUsers);
 
 // Get all content (YouTube links) from all users for homepage
 // NOTE: This must come BEFORE the /:id route to prevent 'content' being treated as an ID
-userRouter.get("/content", getAllContent);
+// Signed-in users don't see content of users they muted or blocked
+userRouter.get(
+    "/content",
+    requireScope("content:read"),
+    optionalAuthorize,
+    getAllContent
+);
+
+// Get specific user by handle - old handles redirect to the current one
+// Signed-in users also see whether they follow the user
+userRouter.get(
+    "/by-handle/:handle",
+    requireScope("profile:read"),
+    optionalAuthorize,
+    getUserByHandle
+);
 
 // Get specific user by ID
-userRouter.get("/:id", getUserById);
+userRouter.get(
+    "/:id",
+    requireScope("profile:read"),
+    optionalAuthorize,
+    getUserById
+);
+
+// Get the followers of a user - private profiles only for approved followers
+userRouter.get(
+    "/:id/followers",
+    requireScope("profile:read"),
+    optionalAuthorize,
+    getFollowers
+);
+
+// Get the users a user follows
+userRouter.get(
+    "/:id/following",
+    requireScope("profile:read"),
+    optionalAuthorize,
+    getFollowing
+);
+
+// Follow / unfollow a user - requires authentication
+userRouter.post("/:id/follow", authorize, followUser);
+userRouter.delete("/:id/follow", authorize, unfollowUser);
 
-// Get user's profile picture
-userRouter.get("/:id/profile-picture", corsMiddleware, getProfilePicture);
+// Block / unblock a user - requires authentication
+userRouter.post("/:id/block", authorize, blockUser);
+userRouter.delete("/:id/block", authorize, unblockUser);
+
+// Mute / unmute a user - requires authentication, the user isn't notified
+userRouter.post("/:id/mute", authorize, muteUser);
+userRouter.delete("/:id/mute", authorize, unmuteUser);
+
+// Get user's profile picture - private profiles show the default picture to others
+userRouter.get(
+    "/:id/profile-picture",
+    corsMiddleware,
+    requireScope("profile:read"),
+    optionalAuthorize,
+    getProfilePicture
+);
 
 // Protected routes - User Profile Management
 
 // Get own profile
-userRouter.get("/profile/me", authorize, getProfile);
+userRouter.get(
+    "/profile/me",
+    requireScope("profile:read"),
+    authorize,
+    getProfile
+);
 
 // Update own profile (with profile picture upload)
 userRouter.put(
     "/profile/me",
+    requireScope("profile:write"),
     authorize,
     uploadProfilePicture,
     handleMulterError,
     updateProfile
 );
 
-// Add YouTube link to profile
-userRouter.post("/profile/youtube", authorize, addYoutubeLink);
+// Change own handle (limited by a cooldown)
+userRouter.put(
+    "/profile/me/handle",
+    requireScope("profile:write"),
+    authorize,
+    updateHandle
+);
+
+// Get / update own privacy settings
+userRouter.get(
+    "/profile/me/privacy",
+    requireScope("profile:read"),
+    authorize,
+    getPrivacySettings
+);
+userRouter.put(
+    "/profile/me/privacy",
+    requireScope("profile:write"),
+    authorize,
+    updatePrivacySettings
+);
+
+// Follow requests to own private profile
+userRouter.get("/profile/me/follow-requests", authorize, getFollowRequests);
+userRouter.post(
+    "/profile/me/follow-requests/:id",
+    authorize,
+    approveFollowRequest
+);
+userRouter.delete(
+    "/profile/me/follow-requests/:id",
+    authorize,
+    declineFollowRequest
+);
+
+// Own blocked and muted users
+userRouter.get("/profile/me/blocks", authorize, getBlockedUsers);
+userRouter.get("/profile/me/mutes", authorize, getMutedUsers);
+
+// Delete own account (soft delete, purged after the grace period)
+userRouter.delete("/profile/me", authorize, deleteAccount);
+
+// Download own data as a zip archive
+userRouter.get("/profile/me/export", authorize, exportAccountData);
+
+// Change own password
+userRouter.put("/profile/me/password", authorize, changePassword);
+
+// Add YouTube link to profile - requires a verified email
+userRouter.post(
+    "/profile/youtube",
+    requireScope("content:write"),
+    authorize,
+    requireVerifiedEmail,
+    addYoutubeLink
+);
+
+// Set the display order of own YouTube links - requires a verified email
+userRouter.put(
+    "/profile/youtube/order",
+    requireScope("content:write"),
+    authorize,
+    requireVerifiedEmail,
+    reorderYoutubeLinks
+);
+
+// Edit YouTube link on profile - requires a verified email
+userRouter.patch(
+    "/profile/youtube/:linkId",
+    requireScope("content:write"),
+    authorize,
+    requireVerifiedEmail,
+    updateYoutubeLink
+);
 
-// Remove YouTube link from profile
-userRouter.delete("/profile/youtube/:linkId", authorize, removeYoutubeLink);
+// Remove YouTube link from profile - requires a verified email
+userRouter.delete(
+    "/profile/youtube/:linkId",
+    requireScope("content:write"),
+    authorize,
+    requireVerifiedEmail,
+    removeYoutubeLink
+);
 
 export default userRouter;
@@ -0,0 +1,33 @@
+import crypto from "crypto";
+
+/**
+ * Generate a JWT signing key entry for JWT_KEYS
+ *
+ * Usage: npm run jwt:generate-key -- [EdDSA|RS256]
+ *
+ * To rotate keys, append the printed entry to JWT_KEYS and point
+ * JWT_ACTIVE_KID at it. Keep the old entry (its private key can be removed)
+ * until tokens signed with it have expired, then drop it.
+ */
+
+const alg = process.argv[2] || "EdDSA";
+
+if (!["EdDSA", "RS256"].includes(alg)) {
+	console.error(`Unsupported algorithm "${alg}", use EdDSA or RS256`);
+	process.exit(1);
+}
+
+const { privateKey } =
+	alg === "EdDSA"
+		? crypto.generateKeyPairSync("ed25519")
+		: crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const entry = {
+	kid: `${new Date().toISOString().slice(0, 10)}-${crypto
+		.randomBytes(4)
+		.toString("hex")}`,
+	alg,
+	privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+};
+
+console.log(JSON.stringify(entry));
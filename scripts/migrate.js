@@ -0,0 +1,34 @@
+import runMigrations from "../database/migrations.js";
+import connectDB, { sequelize } from "../database/postgresql.js";
+
+// Register all models, a new database gets its tables from them
+import "../model/user.model.js";
+import "../model/session.model.js";
+import "../model/revoked-token.model.js";
+import "../model/login-throttle.model.js";
+import "../model/personal-access-token.model.js";
+import "../model/handle-redirect.model.js";
+import "../model/follow.model.js";
+import "../model/block.model.js";
+import "../model/mute.model.js";
+import "../model/content.model.js";
+import "../model/content-like.model.js";
+import "../model/comment.model.js";
+
+/**
+ * Run the database migrations
+ *
+ * Usage: npm run migrate
+ *
+ * Run it before every deploy, with the DB_URI of the environment being
+ * deployed. It exits with a non-zero code when a migration fails.
+ */
+
+try {
+	await connectDB();
+	await runMigrations();
+} catch {
+	process.exitCode = 1;
+} finally {
+	await sequelize.close();
+}
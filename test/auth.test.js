@@ -0,0 +1,312 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { postJson, startApp } from "./helpers.js";
+
+const { PersonalAccessToken } = await import(
+	"../model/personal-access-token.model.js"
+);
+const { Session } = await import("../model/session.model.js");
+const { User } = await import("../model/user.model.js");
+const { signJwt, TOKEN_AUDIENCES } = await import("../utils/jwt.util.js");
+const { generatePersonalAccessToken } = await import(
+	"../utils/personal-access-token.util.js"
+);
+
+const USER_ID = "8b1c3f0e-5c4a-4f6e-9d8a-2b7e6c1d0a93";
+const SESSION_ID = "3f2a9d4c-7b1e-4c8a-a6d5-9e0f1b2c3d4e";
+
+// Any route behind authorize works, this one only reads the user
+const PROTECTED_PATH = "/api/v1/users/profile/me/privacy";
+
+let baseUrl;
+let close;
+
+/**
+ * Call the protected route with a bearer token
+ *
+ * @param {string} token - Token to send
+ * @returns {Promise<Response>} Response
+ */
+const requestWithToken = (token) =>
+	fetch(`${baseUrl}${PROTECTED_PATH}`, {
+		headers: { Authorization: `Bearer ${token}` },
+	});
+
+const accessToken = (payload = { userId: USER_ID, sessionId: SESSION_ID }) =>
+	signJwt(payload, { audience: TOKEN_AUDIENCES.access, expiresIn: 60 });
+
+before(async () => {
+	({ baseUrl, close } = await startApp());
+});
+
+after(() => {
+	close();
+});
+
+describe("authorize", () => {
+	/**
+	 * Let the user and, if given, the session of the token exist
+	 *
+	 * @param {Object} t - Test context
+	 * @param {Object|null} [session] - Session row to return
+	 * @param {Object} [attributes] - Attributes of the user
+	 */
+	const mockAccount = (t, session = null, attributes = {}) => {
+		t.mock.method(User, "findByPk", async () =>
+			User.build({
+				id: USER_ID,
+				name: "Test User",
+				email: "test@example.com",
+				privateProfile: false,
+				...attributes,
+			})
+		);
+		t.mock.method(Session, "findOne", async () => session);
+	};
+
+	it("accepts an access token of an active session", async (t) => {
+		mockAccount(t, Session.build({ id: SESSION_ID }));
+
+		const response = await requestWithToken(accessToken());
+
+		assert.equal(response.status, 200);
+	});
+
+	it("rejects the token issued before the second sign-in step", async (t) => {
+		mockAccount(t, Session.build({ id: SESSION_ID }));
+		const mfaToken = signJwt(
+			{ userId: USER_ID, version: 0 },
+			{ audience: TOKEN_AUDIENCES.mfaPending, expiresIn: 60 }
+		);
+
+		const response = await requestWithToken(mfaToken);
+
+		assert.equal(response.status, 401);
+	});
+
+	it("rejects a refresh token", async (t) => {
+		mockAccount(t, Session.build({ id: SESSION_ID }));
+		const refreshToken = signJwt(
+			{ userId: USER_ID, version: 0, sessionId: SESSION_ID },
+			{ audience: TOKEN_AUDIENCES.refresh, expiresIn: 60 }
+		);
+
+		const response = await requestWithToken(refreshToken);
+
+		assert.equal(response.status, 401);
+	});
+
+	it("rejects an access token without a session", async (t) => {
+		mockAccount(t, Session.build({ id: SESSION_ID }));
+
+		const response = await requestWithToken(
+			accessToken({ userId: USER_ID })
+		);
+
+		assert.equal(response.status, 401);
+	});
+
+	it("rejects a request without a token", async () => {
+		const response = await fetch(`${baseUrl}${PROTECTED_PATH}`);
+
+		assert.equal(response.status, 401);
+	});
+
+	it("rejects an expired access token", async (t) => {
+		mockAccount(t, Session.build({ id: SESSION_ID }));
+		const expiredToken = signJwt(
+			{
+				userId: USER_ID,
+				sessionId: SESSION_ID,
+				iat: Math.floor(Date.now() / 1000) - 120,
+			},
+			{ audience: TOKEN_AUDIENCES.access, expiresIn: 60 }
+		);
+
+		const response = await requestWithToken(expiredToken);
+
+		assert.equal(response.status, 401);
+	});
+
+	it("rejects an access token with a forged signature", async (t) => {
+		mockAccount(t, Session.build({ id: SESSION_ID }));
+		const [header, payload] = accessToken().split(".");
+
+		const response = await requestWithToken(
+			`${header}.${payload}.${Buffer.from("forged").toString("base64url")}`
+		);
+
+		assert.equal(response.status, 401);
+	});
+
+	it("rejects an access token of a deleted account", async (t) => {
+		mockAccount(t, Session.build({ id: SESSION_ID }), {
+			deletedAt: new Date(),
+		});
+
+		const response = await requestWithToken(accessToken());
+
+		assert.equal(response.status, 401);
+	});
+
+	it("rejects an access token of a revoked session", async (t) => {
+		mockAccount(t, null);
+
+		const response = await requestWithToken(accessToken());
+
+		assert.equal(response.status, 401);
+	});
+});
+
+describe("email verification tokens", () => {
+	const emailVerificationToken = () =>
+		signJwt(
+			{ userId: USER_ID, email: "test@example.com" },
+			{
+				audience: TOKEN_AUDIENCES.emailVerification,
+				expiresIn: 60,
+				jwtid: "a1b2c3d4e5f60718293a4b5c6d7e8f90",
+			}
+		);
+
+	it("are not accepted as access tokens", async (t) => {
+		t.mock.method(User, "findByPk", async () =>
+			User.build({ id: USER_ID, email: "test@example.com" })
+		);
+		t.mock.method(Session, "findOne", async () =>
+			Session.build({ id: SESSION_ID })
+		);
+
+		const response = await requestWithToken(emailVerificationToken());
+
+		assert.equal(response.status, 401);
+	});
+
+	it("can't be replaced by an access token", async (t) => {
+		const findUser = t.mock.method(User, "findByPk", async () => null);
+
+		const response = await postJson(`${baseUrl}/api/v1/auth/verify-email`, {
+			token: accessToken(),
+		});
+
+		assert.equal(response.status, 400);
+		assert.equal(findUser.mock.callCount(), 0);
+	});
+});
+
+describe("token endpoints", () => {
+	const postAuth = (path, body) =>
+		postJson(`${baseUrl}/api/v1/auth${path}`, body);
+
+	const mfaToken = () =>
+		signJwt(
+			{ userId: USER_ID, version: 0 },
+			{ audience: TOKEN_AUDIENCES.mfaPending, expiresIn: 60 }
+		);
+
+	it("don't refresh with an access token", async (t) => {
+		const findUser = t.mock.method(User, "findByPk", async () => null);
+
+		const response = await postAuth("/refresh-token", {
+			refreshToken: accessToken(),
+		});
+
+		assert.equal(response.status, 401);
+		assert.equal(findUser.mock.callCount(), 0);
+	});
+
+	it("don't refresh with the token of the second sign-in step", async (t) => {
+		const findUser = t.mock.method(User, "findByPk", async () => null);
+
+		const response = await postAuth("/refresh-token", {
+			refreshToken: mfaToken(),
+		});
+
+		assert.equal(response.status, 401);
+		assert.equal(findUser.mock.callCount(), 0);
+	});
+
+	it("don't finish the second sign-in step with an access token", async (t) => {
+		const findUser = t.mock.method(User, "findByPk", async () => null);
+
+		const response = await postAuth("/signin/2fa", {
+			mfaToken: accessToken(),
+			code: "123456",
+		});
+
+		assert.equal(response.status, 401);
+		assert.equal(findUser.mock.callCount(), 0);
+	});
+
+	it("don't finish the second sign-in step of a suspended account", async (t) => {
+		t.mock.method(User, "findByPk", async () =>
+			User.build({
+				id: USER_ID,
+				email: "test@example.com",
+				tokenVersion: 0,
+				suspendedAt: new Date(),
+			})
+		);
+
+		const response = await postAuth("/signin/2fa", {
+			mfaToken: mfaToken(),
+			code: "123456",
+		});
+
+		assert.equal(response.status, 403);
+	});
+
+	it("don't sign out with a refresh token", async () => {
+		const refreshToken = signJwt(
+			{ userId: USER_ID, version: 0, sessionId: SESSION_ID },
+			{ audience: TOKEN_AUDIENCES.refresh, expiresIn: 60 }
+		);
+
+		const response = await fetch(`${baseUrl}/api/v1/auth/signout`, {
+			method: "POST",
+			headers: { Authorization: `Bearer ${refreshToken}` },
+		});
+
+		assert.equal(response.status, 401);
+	});
+});
+
+describe("personal access tokens", () => {
+	/**
+	 * Let a token with the profile:read scope exist for the user
+	 *
+	 * @param {Object} t - Test context
+	 * @param {Object} options - Token versions
+	 * @param {number} options.tokenVersion - Version stored on the token
+	 * @param {number} options.userVersion - Current version of the user
+	 */
+	const mockToken = (t, { tokenVersion, userVersion }) => {
+		t.mock.method(PersonalAccessToken, "findOne", async () =>
+			PersonalAccessToken.build({
+				userId: USER_ID,
+				scopes: ["profile:read"],
+				tokenVersion,
+				lastUsedAt: new Date(),
+			})
+		);
+		t.mock.method(User, "findByPk", async () =>
+			User.build({ id: USER_ID, tokenVersion: userVersion })
+		);
+	};
+
+	it("are accepted until the user signs out everywhere", async (t) => {
+		mockToken(t, { tokenVersion: 2, userVersion: 2 });
+
+		const response = await requestWithToken(generatePersonalAccessToken());
+
+		assert.equal(response.status, 200);
+	});
+
+	it("are revoked by signing out everywhere", async (t) => {
+		mockToken(t, { tokenVersion: 2, userVersion: 3 });
+
+		const response = await requestWithToken(generatePersonalAccessToken());
+
+		assert.equal(response.status, 401);
+	});
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it, mock } from "node:test";
+import bcrypt from "bcryptjs";
+import { postJson, startApp } from "./helpers.js";
+
+const { sequelize } = await import("../database/postgresql.js");
+const { LoginThrottle } = await import("../model/login-throttle.model.js");
+const { User } = await import("../model/user.model.js");
+
+const EMAIL = "test@example.com";
+const PASSWORD = "correct horse battery staple";
+
+let baseUrl;
+let close;
+
+// login_throttles rows by key
+const throttles = new Map();
+
+before(async () => {
+	({ baseUrl, close } = await startApp());
+
+	// The failure counter is incremented with a single upsert, the rest of
+	// the throttle goes through the model
+	mock.method(sequelize, "query", async (sql, { replacements }) => {
+		assert.match(sql, /INSERT INTO login_throttles/);
+		const { key, now, staleBefore } = replacements;
+		const throttle = throttles.get(key);
+		const failures =
+			!throttle || throttle.lastFailureAt < staleBefore
+				? 1
+				: throttle.failures + 1;
+
+		throttles.set(key, {
+			...throttle,
+			key,
+			failures,
+			lastFailureAt: now,
+		});
+		return [{ failures }];
+	});
+	mock.method(LoginThrottle, "findAll", async ({ where }) =>
+		where.key
+			.filter((key) => throttles.has(key))
+			.map((key) => LoginThrottle.build(throttles.get(key)))
+	);
+	mock.method(LoginThrottle, "update", async (values, { where }) => {
+		Object.assign(throttles.get(where.key), values);
+	});
+	mock.method(LoginThrottle, "destroy", async ({ where }) => {
+		throttles.delete(where.key);
+	});
+
+	// 2FA makes a correct password answer with an mfaToken, no session needed
+	const passwordHash = await bcrypt.hash(PASSWORD, 4);
+	mock.method(User, "findOne", async () =>
+		User.build({
+			id: "8b1c3f0e-5c4a-4f6e-9d8a-2b7e6c1d0a93",
+			email: EMAIL,
+			password: passwordHash,
+			twoFactorEnabled: true,
+		})
+	);
+});
+
+after(() => {
+	close();
+});
+
+const signIn = (password) =>
+	postJson(`${baseUrl}/api/v1/auth/signin`, { email: EMAIL, password });
+
+// Move the recorded failures back in time, as if the client waited
+const waitSeconds = (seconds) => {
+	throttles.forEach((throttle) => {
+		throttle.lastFailureAt = new Date(
+			throttle.lastFailureAt.getTime() - seconds * 1000
+		);
+	});
+};
+
+describe("sign-in throttling", () => {
+	beforeEach(() => {
+		throttles.clear();
+		User.findOne.mock.resetCalls();
+	});
+
+	it("lets a correct password through after a few failures", async () => {
+		for (let attempt = 0; attempt < 4; attempt += 1) {
+			assert.equal((await signIn("wrong")).status, 401);
+		}
+
+		const response = await signIn(PASSWORD);
+
+		assert.equal(response.status, 200);
+		assert.equal((await response.json()).data.mfaRequired, true);
+	});
+
+	it("makes the client wait once the free attempts are used up", async () => {
+		for (let attempt = 0; attempt < 5; attempt += 1) {
+			assert.equal((await signIn("wrong")).status, 401);
+		}
+
+		const response = await signIn("wrong");
+
+		assert.equal(response.status, 429);
+		assert.equal(response.headers.get("retry-after"), "1");
+		assert.equal(User.findOne.mock.callCount(), 5);
+	});
+
+	it("refuses even the correct password during a lockout", async () => {
+		for (let attempt = 0; attempt < 10; attempt += 1) {
+			assert.equal((await signIn("wrong")).status, 401);
+			waitSeconds(60);
+		}
+
+		const response = await signIn(PASSWORD);
+
+		assert.equal(response.status, 429);
+		assert.ok(Number(response.headers.get("retry-after")) > 60);
+		assert.equal(User.findOne.mock.callCount(), 10);
+	});
+});
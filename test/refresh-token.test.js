@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { after, before, beforeEach, describe, it, mock } from "node:test";
+import { postJson, startApp } from "./helpers.js";
+
+const { Session } = await import("../model/session.model.js");
+const { User } = await import("../model/user.model.js");
+const { signJwt, TOKEN_AUDIENCES } = await import("../utils/jwt.util.js");
+
+const USER_ID = "8b1c3f0e-5c4a-4f6e-9d8a-2b7e6c1d0a93";
+const SESSION_ID = "3f2a9d4c-7b1e-4c8a-a6d5-9e0f1b2c3d4e";
+
+let baseUrl;
+let close;
+
+// sessions rows by id
+const sessions = new Map();
+let tokenVersion;
+
+const hashToken = (token) =>
+	crypto.createHash("sha256").update(token).digest("hex");
+
+before(async () => {
+	({ baseUrl, close } = await startApp());
+
+	mock.method(User, "findByPk", async () =>
+		User.build({ id: USER_ID, email: "test@example.com", tokenVersion })
+	);
+	mock.method(Session, "findOne", async ({ where }) =>
+		sessions.has(where.id) ? Session.build(sessions.get(where.id)) : null
+	);
+	// The conditional update is what makes concurrent refreshes safe
+	mock.method(Session, "update", async (values, { where }) => {
+		const session = sessions.get(where.id);
+		if (!session || session.refreshTokenHash !== where.refreshTokenHash) {
+			return [0];
+		}
+		Object.assign(session, values);
+		return [1];
+	});
+	mock.method(Session, "destroy", async ({ where }) => [
+		sessions.delete(where.id) ? 1 : 0,
+	]);
+});
+
+after(() => {
+	close();
+});
+
+/**
+ * Start a session and return its refresh token
+ *
+ * @returns {string} Refresh token
+ */
+const signIn = () => {
+	const refreshToken = signJwt(
+		{ userId: USER_ID, version: tokenVersion, sessionId: SESSION_ID },
+		{
+			audience: TOKEN_AUDIENCES.refresh,
+			expiresIn: 60,
+			jwtid: crypto.randomUUID(),
+		}
+	);
+
+	sessions.set(SESSION_ID, {
+		id: SESSION_ID,
+		userId: USER_ID,
+		refreshTokenHash: hashToken(refreshToken),
+		expiresAt: new Date(Date.now() + 60 * 1000),
+	});
+
+	return refreshToken;
+};
+
+const refresh = (refreshToken) =>
+	postJson(`${baseUrl}/api/v1/auth/refresh-token`, { refreshToken });
+
+describe("refresh token rotation", () => {
+	beforeEach(() => {
+		sessions.clear();
+		tokenVersion = 0;
+	});
+
+	it("replaces the refresh token on every use", async () => {
+		const refreshToken = signIn();
+
+		const response = await refresh(refreshToken);
+		const { data } = await response.json();
+
+		assert.equal(response.status, 200);
+		assert.ok(data.accessToken);
+		assert.notEqual(data.refreshToken, refreshToken);
+		assert.equal(
+			sessions.get(SESSION_ID).refreshTokenHash,
+			hashToken(data.refreshToken)
+		);
+		assert.equal((await refresh(data.refreshToken)).status, 200);
+	});
+
+	it("revokes the session when a rotated token is replayed", async () => {
+		const stolenToken = signIn();
+		const { data } = await (await refresh(stolenToken)).json();
+
+		const replay = await refresh(stolenToken);
+
+		assert.equal(replay.status, 401);
+		assert.match((await replay.json()).message, /reuse detected/);
+		assert.equal(sessions.has(SESSION_ID), false);
+		// The legitimate client has to sign in again as well
+		assert.equal((await refresh(data.refreshToken)).status, 401);
+	});
+
+	it("lets only one of two concurrent refreshes succeed", async () => {
+		const refreshToken = signIn();
+
+		const responses = await Promise.all([
+			refresh(refreshToken),
+			refresh(refreshToken),
+		]);
+
+		assert.deepEqual(
+			responses.map((response) => response.status).sort(),
+			[200, 401]
+		);
+	});
+
+	it("rejects the token after signing out everywhere", async () => {
+		const refreshToken = signIn();
+		tokenVersion += 1;
+
+		const response = await refresh(refreshToken);
+
+		assert.equal(response.status, 401);
+	});
+});
@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { after, before, beforeEach, describe, it, mock } from "node:test";
+import { postJson, startApp } from "./helpers.js";
+
+const { LoginThrottle } = await import("../model/login-throttle.model.js");
+const { Session } = await import("../model/session.model.js");
+const { User } = await import("../model/user.model.js");
+const { signJwt, TOKEN_AUDIENCES } = await import("../utils/jwt.util.js");
+const { verifyTwoFactorCode } = await import(
+	"../controllers/two-factor.controller.js"
+);
+const { generateTotp, generateTotpSecret, getTotpStep, verifyTotp } =
+	await import("../utils/totp.util.js");
+
+const USER_ID = "8b1c3f0e-5c4a-4f6e-9d8a-2b7e6c1d0a93";
+const SECRET = generateTotpSecret();
+
+let baseUrl;
+let close;
+let user;
+
+before(async () => {
+	({ baseUrl, close } = await startApp());
+
+	// Nothing is throttled, sessions and users are kept in memory
+	mock.method(LoginThrottle, "findAll", async () => []);
+	mock.method(LoginThrottle, "destroy", async () => 0);
+	mock.method(Session.prototype, "save", async function () {
+		return this;
+	});
+	mock.method(User.prototype, "save", async function () {
+		return this;
+	});
+	mock.method(User, "findByPk", async () => user);
+});
+
+after(() => {
+	close();
+});
+
+beforeEach(() => {
+	user = User.build({
+		id: USER_ID,
+		email: "test@example.com",
+		tokenVersion: 0,
+		twoFactorEnabled: true,
+		twoFactorSecret: SECRET,
+	});
+	Session.prototype.save.mock.resetCalls();
+});
+
+const mfaToken = () =>
+	signJwt(
+		{ userId: USER_ID, version: 0 },
+		{
+			audience: TOKEN_AUDIENCES.mfaPending,
+			expiresIn: 60,
+			jwtid: crypto.randomUUID(),
+		}
+	);
+
+const signInTwoFactor = (token, code) =>
+	postJson(`${baseUrl}/api/v1/auth/signin/2fa`, { mfaToken: token, code });
+
+describe("second sign-in step", () => {
+	it("exchanges the token and a code for a session", async () => {
+		const response = await signInTwoFactor(
+			mfaToken(),
+			generateTotp(SECRET)
+		);
+
+		assert.equal(response.status, 200);
+		assert.ok((await response.json()).data.accessToken);
+		assert.equal(Session.prototype.save.mock.callCount(), 1);
+	});
+
+	it("accepts the token only once", async () => {
+		const token = mfaToken();
+		const step = getTotpStep();
+
+		const first = await signInTwoFactor(token, generateTotp(SECRET, step));
+		const replay = await signInTwoFactor(
+			token,
+			generateTotp(SECRET, step + 1)
+		);
+
+		assert.equal(first.status, 200);
+		assert.equal(replay.status, 401);
+		assert.equal(Session.prototype.save.mock.callCount(), 1);
+	});
+});
+
+describe("verifyTotp", () => {
+	it("accepts the code of the current step and its neighbours", () => {
+		const step = getTotpStep();
+
+		assert.equal(verifyTotp(SECRET, generateTotp(SECRET, step)), step);
+		assert.equal(
+			verifyTotp(SECRET, generateTotp(SECRET, step - 1)),
+			step - 1
+		);
+		assert.equal(
+			verifyTotp(SECRET, generateTotp(SECRET, step + 1)),
+			step + 1
+		);
+	});
+
+	it("rejects codes outside the window", () => {
+		const step = getTotpStep();
+
+		assert.equal(verifyTotp(SECRET, generateTotp(SECRET, step - 2)), null);
+		assert.equal(verifyTotp(SECRET, generateTotp(SECRET, step + 2)), null);
+	});
+
+	it("rejects steps that were already used", () => {
+		const step = getTotpStep();
+
+		assert.equal(
+			verifyTotp(SECRET, generateTotp(SECRET, step), { afterStep: step }),
+			null
+		);
+	});
+
+	it("rejects malformed codes", () => {
+		assert.equal(verifyTotp(SECRET, "12345"), null);
+		assert.equal(verifyTotp(SECRET, "abcdef"), null);
+		assert.equal(verifyTotp(SECRET, ""), null);
+	});
+});
+
+describe("verifyTwoFactorCode", () => {
+	const RECOVERY_CODE = "3f9a-c27e-81bd";
+
+	beforeEach(() => {
+		user.twoFactorRecoveryCodes = [
+			crypto
+				.createHash("sha256")
+				.update(RECOVERY_CODE.replace(/-/g, ""))
+				.digest("hex"),
+		];
+	});
+
+	it("doesn't accept the same TOTP code twice", async () => {
+		const code = generateTotp(SECRET);
+
+		assert.equal(await verifyTwoFactorCode(user, code), true);
+		assert.equal(await verifyTwoFactorCode(user, code), false);
+	});
+
+	it("uses up a recovery code", async () => {
+		assert.equal(
+			await verifyTwoFactorCode(user, RECOVERY_CODE.toUpperCase()),
+			true
+		);
+		assert.deepEqual(user.twoFactorRecoveryCodes, []);
+		assert.equal(await verifyTwoFactorCode(user, RECOVERY_CODE), false);
+	});
+
+	it("rejects codes when 2FA is disabled", async () => {
+		user.twoFactorEnabled = false;
+
+		assert.equal(await verifyTwoFactorCode(user, generateTotp(SECRET)), false);
+		assert.equal(await verifyTwoFactorCode(user, RECOVERY_CODE), false);
+	});
+});
@@ -0,0 +1,63 @@
+import fs from "fs";
+import path from "path";
+import { Op } from "sequelize";
+import config from "../config/env.config.js";
+import { User } from "../model/user.model.js";
+
+// Days a deleted account can still be restored by signing in
+export const ACCOUNT_DELETION_GRACE_DAYS = config.accounts.deletionGraceDays;
+
+const profilePicturesDir = path.join(
+	process.cwd(),
+	"uploads",
+	"profile-pictures"
+);
+
+/**
+ * Remove an uploaded profile picture from disk
+ * Only files inside uploads/profile-pictures are touched.
+ *
+ * @param {string|null} profilePicture - Stored profile picture path
+ */
+export const removeProfilePictureFile = (profilePicture) => {
+	if (!profilePicture) {
+		return;
+	}
+
+	const filePath = path.join(process.cwd(), profilePicture);
+	if (path.dirname(filePath) !== profilePicturesDir) {
+		return;
+	}
+
+	try {
+		if (fs.existsSync(filePath)) {
+			fs.unlinkSync(filePath);
+		}
+	} catch (err) {
+		console.error("Error deleting profile picture:", err);
+	}
+};
+
+/**
+ * Permanently delete accounts whose grace period has ended
+ *
+ * @returns {Promise<number>} Number of purged accounts
+ */
+export const purgeDeletedAccounts = async () => {
+	const cutoff = new Date(
+		Date.now() - ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+	);
+
+	const users = await User.findAll({
+		attributes: ["id", "profilePicture"],
+		where: { deletedAt: { [Op.lte]: cutoff } },
+	});
+
+	for (const user of users) {
+		// Sessions and other rows referencing the user cascade
+		await user.destroy();
+		removeProfilePictureFile(user.profilePicture);
+	}
+
+	return users.length;
+};
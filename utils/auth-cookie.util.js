@@ -0,0 +1,142 @@
+import crypto from "crypto";
+import config from "../config/env.config.js";
+
+/**
+ * HttpOnly cookie authentication helpers
+ *
+ * Cookie mode is opt-in per client: sign-in and sign-up requests that send
+ * the "X-Auth-Mode: cookie" header get their tokens as HttpOnly cookies
+ * instead of in the JSON body. Requests authenticated by cookie must prove
+ * they come from our frontend with a double-submit CSRF token: the value of
+ * the csrf_token cookie sent back in the X-CSRF-Token header.
+ */
+
+export const ACCESS_TOKEN_COOKIE = "access_token";
+export const REFRESH_TOKEN_COOKIE = "refresh_token";
+export const CSRF_TOKEN_COOKIE = "csrf_token";
+export const CSRF_HEADER = "x-csrf-token";
+
+// Methods that don't change state and therefore don't need a CSRF token
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Cookie lifetimes match the token lifetimes
+const ACCESS_TOKEN_MAX_AGE = config.auth.accessTokenTtlSeconds * 1000;
+const REFRESH_TOKEN_MAX_AGE = config.auth.refreshTokenTtlSeconds * 1000;
+
+const baseCookieOptions = {
+	secure: config.auth.cookieSecure,
+	sameSite: config.auth.cookieSameSite,
+};
+
+/**
+ * Whether the client asked for cookie based authentication
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean} True for cookie mode
+ */
+export const wantsCookieAuth = (req) =>
+	(req.get("x-auth-mode") || "").toLowerCase() === "cookie";
+
+/**
+ * Extract the access token from the Authorization header or the auth cookie
+ *
+ * @param {Object} req - Express request object
+ * @returns {{ token: string|null, fromCookie: boolean }} Token and its source
+ */
+export const extractAccessToken = (req) => {
+	// Check Authorization header (Bearer token)
+	// Format: "Bearer eyJhbGciOiJIUzI1NiIsIn..."
+	if (
+		req.headers.authorization &&
+		req.headers.authorization.startsWith("Bearer")
+	) {
+		return {
+			token: req.headers.authorization.split(" ")[1].trim(),
+			fromCookie: false,
+		};
+	}
+
+	if (req.cookies && req.cookies[ACCESS_TOKEN_COOKIE]) {
+		return { token: req.cookies[ACCESS_TOKEN_COOKIE], fromCookie: true };
+	}
+
+	return { token: null, fromCookie: false };
+};
+
+/**
+ * Set the auth cookies and a fresh CSRF token
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - Access and refresh tokens
+ * @returns {string} CSRF token the client has to send in the X-CSRF-Token header
+ */
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+	const csrfToken = crypto.randomBytes(32).toString("hex");
+
+	res.cookie(ACCESS_TOKEN_COOKIE, accessToken, {
+		...baseCookieOptions,
+		httpOnly: true,
+		maxAge: ACCESS_TOKEN_MAX_AGE,
+		path: "/",
+	});
+
+	// The refresh token is only needed by the auth routes
+	res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+		...baseCookieOptions,
+		httpOnly: true,
+		maxAge: REFRESH_TOKEN_MAX_AGE,
+		path: "/api/v1/auth",
+	});
+
+	// Readable by same-site scripts, cross-site frontends get it in the body
+	res.cookie(CSRF_TOKEN_COOKIE, csrfToken, {
+		...baseCookieOptions,
+		httpOnly: false,
+		maxAge: REFRESH_TOKEN_MAX_AGE,
+		path: "/",
+	});
+
+	return csrfToken;
+};
+
+/**
+ * Remove all auth cookies
+ *
+ * @param {Object} res - Express response object
+ */
+export const clearAuthCookies = (res) => {
+	res.clearCookie(ACCESS_TOKEN_COOKIE, { ...baseCookieOptions, path: "/" });
+	res.clearCookie(REFRESH_TOKEN_COOKIE, {
+		...baseCookieOptions,
+		path: "/api/v1/auth",
+	});
+	res.clearCookie(CSRF_TOKEN_COOKIE, { ...baseCookieOptions, path: "/" });
+};
+
+/**
+ * Check the double-submit CSRF token of a cookie-authenticated request
+ * Safe methods always pass.
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the request may proceed
+ */
+export const hasValidCsrfToken = (req) => {
+	if (SAFE_METHODS.includes(req.method)) {
+		return true;
+	}
+
+	const cookieToken = req.cookies && req.cookies[CSRF_TOKEN_COOKIE];
+	const headerToken = req.get(CSRF_HEADER);
+
+	if (!cookieToken || !headerToken) {
+		return false;
+	}
+
+	const expected = Buffer.from(cookieToken);
+	const received = Buffer.from(headerToken);
+
+	return (
+		expected.length === received.length &&
+		crypto.timingSafeEqual(expected, received)
+	);
+};
@@ -0,0 +1,63 @@
+import { Op } from "sequelize";
+import { Block } from "../model/block.model.js";
+import { Mute } from "../model/mute.model.js";
+
+/**
+ * Whether either of two users has blocked the other
+ *
+ * @param {string|null} userId - First user, may be a visitor (null)
+ * @param {string} otherUserId - Second user
+ * @returns {Promise<boolean>} True if there is a block in either direction
+ */
+export const isBlockedBetween = async (userId, otherUserId) => {
+	if (!userId || userId === otherUserId) {
+		return false;
+	}
+
+	const block = await Block.findOne({
+		where: {
+			[Op.or]: [
+				{ blockerId: userId, blockedId: otherUserId },
+				{ blockerId: otherUserId, blockedId: userId },
+			],
+		},
+		attributes: ["blockerId"],
+	});
+
+	return !!block;
+};
+
+/**
+ * Users whose content a viewer shouldn't see: users they muted or blocked
+ * and users who blocked them
+ *
+ * @param {string|null} viewerId - Signed-in user, if any
+ * @returns {Promise<string[]>} User ids to leave out
+ */
+export const getHiddenUserIds = async (viewerId) => {
+	if (!viewerId) {
+		return [];
+	}
+
+	const [mutes, blocks] = await Promise.all([
+		Mute.findAll({
+			where: { muterId: viewerId },
+			attributes: ["mutedId"],
+		}),
+		Block.findAll({
+			where: {
+				[Op.or]: [{ blockerId: viewerId }, { blockedId: viewerId }],
+			},
+			attributes: ["blockerId", "blockedId"],
+		}),
+	]);
+
+	const hiddenIds = new Set(mutes.map((mute) => mute.mutedId));
+	for (const block of blocks) {
+		hiddenIds.add(
+			block.blockerId === viewerId ? block.blockedId : block.blockerId
+		);
+	}
+
+	return [...hiddenIds];
+};
@@ -0,0 +1,169 @@
+import Joi from "joi";
+import { Sequelize } from "sequelize";
+import { ContentLike } from "../model/content-like.model.js";
+import { Content, CONTENT_ATTRIBUTES } from "../model/content.model.js";
+import { User } from "../model/user.model.js";
+import { isBlockedBetween } from "./block.util.js";
+import { canViewProfileContent } from "./privacy.util.js";
+
+// Content and comment ids are UUIDs - anything else can't match a row
+const contentIdSchema = Joi.string().guid().required();
+
+/**
+ * Whether a value can be the id of content or a comment
+ * Links created before the contents table had numeric ids, those are gone.
+ *
+ * @param {*} value - Id from the request
+ * @returns {boolean} True for a UUID
+ */
+export const isContentId = (value) => !contentIdSchema.validate(value).error;
+
+// Number of likes of a content item, counted in the query
+export const likeCount = Sequelize.literal(
+	'(SELECT COUNT(*)::int FROM content_likes WHERE content_likes.content_id = "Content"."id")'
+);
+
+// Number of comments on a content item, replies included
+export const commentCount = Sequelize.literal(
+	'(SELECT COUNT(*)::int FROM comments WHERE comments.content_id = "Content"."id")'
+);
+
+// Attributes to load for content items, see toContentItems
+export const CONTENT_ITEM_ATTRIBUTES = [
+	...CONTENT_ATTRIBUTES,
+	[likeCount, "likeCount"],
+	[commentCount, "commentCount"],
+];
+
+/**
+ * Include for the YouTube links of users, in the display order of the profile
+ * Loaded in a separate query so it also works with paginated user lists.
+ *
+ * @returns {Object} Sequelize include options
+ */
+export const includeYoutubeLinks = () => ({
+	model: Content,
+	as: "youtubeLinks",
+	attributes: [...CONTENT_ATTRIBUTES, [commentCount, "commentCount"]],
+	separate: true,
+	order: [
+		["position", "ASC"],
+		["addedAt", "ASC"],
+		["id", "ASC"],
+	],
+});
+
+/**
+ * A content row as a YouTube link of a profile
+ *
+ * @param {Object} content - Content model instance
+ * @returns {Object} Link (see CONTENT_ATTRIBUTES)
+ */
+export const toYoutubeLink = (content) =>
+	Object.fromEntries(
+		CONTENT_ATTRIBUTES.map((attribute) => [attribute, content[attribute]])
+	);
+
+/**
+ * Include for the author of content
+ * Content of suspended and deleted accounts is hidden.
+ *
+ * @param {Object} where - Conditions on the author
+ * @returns {Object} Sequelize include options
+ */
+export const includeAuthor = (where = {}) => ({
+	model: User.scope("visible"),
+	as: "user",
+	attributes: ["id", "name"],
+	where,
+	required: true,
+});
+
+/**
+ * Ids of the given content items that a viewer has liked
+ *
+ * @param {string|null} viewerId - Signed-in user, if any
+ * @param {string[]} contentIds - Content to check
+ * @returns {Promise<Set<string>>} Liked content ids
+ */
+export const getLikedContentIds = async (viewerId, contentIds) => {
+	if (!viewerId || contentIds.length === 0) {
+		return new Set();
+	}
+
+	const likes = await ContentLike.findAll({
+		where: { userId: viewerId, contentId: contentIds },
+		attributes: ["contentId"],
+	});
+
+	return new Set(likes.map((like) => like.contentId));
+};
+
+/**
+ * Find a content item a viewer may see
+ * Content of hidden and private profiles and of users who blocked each other
+ * looks like it doesn't exist.
+ *
+ * @param {string} contentId - Content id from the route
+ * @param {string|null} viewerId - Signed-in user, if any
+ * @returns {Promise<Object>} Content (id, userId) with its author
+ * @throws {Error} 404 if the content doesn't exist or can't be seen
+ */
+export const findViewableContent = async (contentId, viewerId) => {
+	const content = isContentId(contentId)
+		? await Content.findByPk(contentId, {
+				attributes: ["id", "userId"],
+				include: [
+					{
+						model: User.scope("visible"),
+						as: "user",
+						attributes: ["id", "privateProfile"],
+						required: true,
+					},
+				],
+		  })
+		: null;
+
+	if (
+		!content ||
+		(await isBlockedBetween(viewerId, content.userId)) ||
+		!(await canViewProfileContent(content.user, viewerId))
+	) {
+		const error = new Error("Content not found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	return content;
+};
+
+/**
+ * Turn content rows into content items
+ * This is the item shape of the homepage content list and the feed.
+ *
+ * @param {Object[]} contents - Content loaded with CONTENT_ITEM_ATTRIBUTES and
+ *   the author included (see includeAuthor)
+ * @param {Set<string>} [likedIds] - Content the viewer liked (see getLikedContentIds)
+ * @returns {Object[]} Content items (id, title, url, videoId, embedUrl,
+ *   thumbnailUrl, addedAt, likeCount, likedByMe, commentCount, user)
+ */
+export const toContentItems = (contents, likedIds = new Set()) =>
+	contents.map((content) => ({
+		id: content.id,
+		title: content.title,
+		url: content.url,
+		videoId: content.videoId,
+		embedUrl: content.embedUrl,
+		thumbnailUrl: content.thumbnailUrl,
+		addedAt: content.addedAt,
+		likeCount: content.get("likeCount") || 0,
+		likedByMe: likedIds.has(content.id),
+		commentCount: content.get("commentCount") || 0,
+		user: {
+			id: content.user.id,
+			name: content.user.name,
+			profilePictureUrl: `/api/v1/users/${content.user.id}/profile-picture`,
+		},
+	}));
+
+export default toContentItems;
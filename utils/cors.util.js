@@ -1,3 +1,5 @@
+import config from "../config/env.config.js";
+
 /**
  * Utility function to apply CORS headers consistently across the application
  * Especially useful for endpoints that serve static files/images
@@ -6,22 +8,18 @@
  * @param {object} res - Express response object
  */
 export const applyCorsHeaders = (req, res) => {
-	const allowedOrigins = [
-		"http://localhost:3005",
-		"http://localhost:3005",
-		"https://csmbd-assignment-frontend.vercel.app",
-	];
+	const allowedOrigins = config.cors.origins;
 
 	// Handle preflight OPTIONS request
 	if (req.method === "OPTIONS") {
 		res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
 		res.setHeader(
 			"Access-Control-Allow-Methods",
-			"GET, POST, PUT, DELETE, OPTIONS"
+			"GET, POST, PUT, PATCH, DELETE, OPTIONS"
 		);
 		res.setHeader(
 			"Access-Control-Allow-Headers",
-			"Content-Type, Authorization, X-Requested-With"
+			"Content-Type, Authorization, X-Requested-With, X-CSRF-Token, X-Auth-Mode"
 		);
 		res.setHeader("Access-Control-Allow-Credentials", "true");
 		res.setHeader("Access-Control-Max-Age", "86400"); // 24 hours
@@ -38,10 +36,10 @@ export const applyCorsHeaders = (req, res) => {
 		res.setHeader("Access-Control-Allow-Origin", allowedOrigins[0]);
 	}
 
-	res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE");
+	res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE");
 	res.setHeader(
 		"Access-Control-Allow-Headers",
-		"Content-Type, Authorization, X-Requested-With"
+		"Content-Type, Authorization, X-Requested-With, X-CSRF-Token, X-Auth-Mode"
 	);
 	res.setHeader("Access-Control-Allow-Credentials", "true");
 };
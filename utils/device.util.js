@@ -0,0 +1,41 @@
+/**
+ * Build a short device description from a User-Agent header
+ * Deliberately simple - it is only used to help users recognise their sessions
+ *
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {string} Description such as "Chrome on Windows"
+ */
+export const describeDevice = (userAgent) => {
+	if (!userAgent) {
+		return "Unknown device";
+	}
+
+	// Order matters: Edge and Opera also report Chrome, Chrome also reports Safari
+	const browsers = [
+		[/Edg\//, "Edge"],
+		[/OPR\/|Opera/, "Opera"],
+		[/Firefox\//, "Firefox"],
+		[/Chrome\//, "Chrome"],
+		[/Safari\//, "Safari"],
+		[/PostmanRuntime/, "Postman"],
+		[/curl\//, "curl"],
+	];
+
+	const systems = [
+		[/Android/, "Android"],
+		[/iPhone|iPad|iPod/, "iOS"],
+		[/Windows/, "Windows"],
+		[/Mac OS X|Macintosh/, "macOS"],
+		[/Linux/, "Linux"],
+	];
+
+	const match = (patterns) =>
+		patterns.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+	const browser = match(browsers) || "Unknown browser";
+	const system = match(systems);
+
+	return system ? `${browser} on ${system}` : browser;
+};
+
+export default describeDevice;
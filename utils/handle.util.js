@@ -0,0 +1,98 @@
+import crypto from "crypto";
+import { Op } from "sequelize";
+import { HandleRedirect } from "../model/handle-redirect.model.js";
+import { User } from "../model/user.model.js";
+
+/**
+ * Handles that can't be claimed because they clash with routes or could be
+ * used to impersonate the service
+ */
+export const RESERVED_HANDLES = new Set([
+	"about",
+	"admin",
+	"api",
+	"auth",
+	"content",
+	"feed",
+	"help",
+	"me",
+	"moderator",
+	"profile",
+	"root",
+	"settings",
+	"support",
+	"system",
+	"user",
+	"users",
+]);
+
+/**
+ * Whether a handle is on the reserved list
+ *
+ * @param {string} handle - Lowercase handle
+ * @returns {boolean} True if the handle is reserved
+ */
+export const isReservedHandle = (handle) => RESERVED_HANDLES.has(handle);
+
+/**
+ * Whether a handle can be claimed by a user
+ * Old handles of other users stay taken so their redirects keep working.
+ *
+ * @param {string} handle - Lowercase handle
+ * @param {string} [userId] - User claiming the handle, if signed up already
+ * @returns {Promise<boolean>} True if the handle is free
+ */
+export const isHandleAvailable = async (handle, userId = null) => {
+	if (isReservedHandle(handle)) {
+		return false;
+	}
+
+	const [user, redirect] = await Promise.all([
+		User.findOne({
+			where: { handle, ...(userId && { id: { [Op.ne]: userId } }) },
+			attributes: ["id"],
+		}),
+		HandleRedirect.findOne({
+			where: { handle, ...(userId && { userId: { [Op.ne]: userId } }) },
+			attributes: ["handle"],
+		}),
+	]);
+
+	return !user && !redirect;
+};
+
+/**
+ * Suggest a free handle based on a display name
+ * "Zoë O'Neil" becomes "zoe_o_neil", or "zoe_o_neil_4821" if that is taken.
+ *
+ * @param {string} name - Display name
+ * @returns {Promise<string>} Available handle
+ */
+export const suggestHandle = async (name) => {
+	let base = (name || "")
+		.normalize("NFKD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "_")
+		.replace(/^_+|_+$/g, "")
+		.slice(0, 24)
+		.replace(/_+$/, "");
+
+	if (base.length < 3) {
+		base = "user";
+	}
+
+	if (await isHandleAvailable(base)) {
+		return base;
+	}
+
+	for (let attempt = 0; attempt < 5; attempt++) {
+		const candidate = `${base}_${crypto.randomInt(1000, 10000)}`;
+		if (await isHandleAvailable(candidate)) {
+			return candidate;
+		}
+	}
+
+	// Practically always free
+	return `${base}_${crypto.randomBytes(3).toString("hex")}`;
+};
@@ -0,0 +1,262 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import config from "../config/env.config.js";
+
+/**
+ * JWT signing and verification with rotating keys
+ *
+ * Keys come from JWT_KEYS (RS256 or EdDSA PEM keys, identified by a kid).
+ * New tokens are signed with the active key and carry its kid in the
+ * header; every configured key stays valid for verification, so a key can
+ * be rotated by adding a new active key and dropping the old private key
+ * once the longest token lifetime has passed. Public keys are published as
+ * a JWKS so other services can verify our tokens.
+ *
+ * Without JWT_KEYS tokens are HS256-signed with JWT_SECRET as before. While
+ * both are configured, tokens without a kid are still verified with the
+ * secret so existing sessions survive the switch.
+ *
+ * jsonwebtoken can't do EdDSA, so signing uses node's crypto directly. The
+ * jsonwebtoken error classes are reused so callers can keep checking
+ * error.name for "TokenExpiredError" and "JsonWebTokenError".
+ *
+ * Every token carries the audience it was issued for, and verification only
+ * accepts the audience the caller expects. A token from a half-finished
+ * sign-in or an email link can never be used as an access token.
+ */
+
+const { JsonWebTokenError, NotBeforeError, TokenExpiredError } = jwt;
+
+// Audiences (aud claim) of the tokens we issue
+export const TOKEN_AUDIENCES = {
+	access: "access",
+	refresh: "refresh",
+	mfaPending: "mfa-pending",
+	emailVerification: "email-verification",
+};
+
+const assertAudience = (audience) => {
+	if (!Object.values(TOKEN_AUDIENCES).includes(audience)) {
+		throw new Error(`Unknown token audience "${audience}"`);
+	}
+};
+
+// Digest passed to crypto.sign / crypto.verify per algorithm
+const DIGESTS = { RS256: "sha256", EdDSA: null };
+
+// Key types each algorithm accepts
+const KEY_TYPES = { RS256: ["rsa"], EdDSA: ["ed25519", "ed448"] };
+
+const base64UrlEncode = (input) => Buffer.from(input).toString("base64url");
+
+const base64UrlDecodeJson = (input) =>
+	JSON.parse(Buffer.from(input, "base64url").toString("utf8"));
+
+/**
+ * Load and check the configured keys
+ *
+ * @returns {Map<string, Object>} Keys by kid
+ */
+const loadKeys = () => {
+	const keys = new Map();
+
+	for (const { kid, alg, privateKey, publicKey } of config.auth.jwtKeys) {
+		try {
+			const privateKeyObject = privateKey
+				? crypto.createPrivateKey(privateKey)
+				: null;
+			const publicKeyObject = crypto.createPublicKey(
+				publicKey || privateKeyObject
+			);
+
+			if (!KEY_TYPES[alg].includes(publicKeyObject.asymmetricKeyType)) {
+				throw new Error(
+					`${alg} needs a ${KEY_TYPES[alg].join(" or ")} key`
+				);
+			}
+			if (
+				alg === "RS256" &&
+				publicKeyObject.asymmetricKeyDetails.modulusLength < 2048
+			) {
+				throw new Error("RSA keys must be at least 2048 bits");
+			}
+
+			keys.set(kid, {
+				kid,
+				alg,
+				privateKey: privateKeyObject,
+				publicKey: publicKeyObject,
+			});
+		} catch (error) {
+			throw new Error(`Invalid JWT key "${kid}": ${error.message}`);
+		}
+	}
+
+	return keys;
+};
+
+const keys = loadKeys();
+
+/**
+ * Pick the key new tokens are signed with
+ *
+ * @returns {Object|null} Active key, null to sign with JWT_SECRET
+ */
+const getActiveKey = () => {
+	if (keys.size === 0) {
+		return null;
+	}
+
+	const kid =
+		config.auth.jwtActiveKid ||
+		[...keys.values()].find((key) => key.privateKey)?.kid;
+	const key = keys.get(kid);
+
+	if (!key || !key.privateKey) {
+		throw new Error(
+			`JWT key "${kid}" can't be used for signing - it needs a private key`
+		);
+	}
+
+	return key;
+};
+
+const activeKey = getActiveKey();
+
+/**
+ * Sign a JWT with the active key
+ *
+ * @param {Object} payload - Token claims
+ * @param {Object} options - Signing options
+ * @param {string} options.audience - One of TOKEN_AUDIENCES
+ * @param {number} [options.expiresIn] - Lifetime in seconds
+ * @param {string} [options.jwtid] - Unique token id (jti)
+ * @returns {string} Signed token
+ */
+export const signJwt = (payload, { audience, expiresIn, jwtid }) => {
+	assertAudience(audience);
+
+	// Legacy HS256 tokens keep their exact format
+	if (!activeKey) {
+		return jwt.sign(payload, config.auth.jwtSecret, {
+			audience,
+			...(expiresIn !== undefined && { expiresIn }),
+			...(jwtid !== undefined && { jwtid }),
+		});
+	}
+
+	const now = Math.floor(Date.now() / 1000);
+	const header = { alg: activeKey.alg, typ: "JWT", kid: activeKey.kid };
+	const claims = {
+		...payload,
+		aud: audience,
+		iat: now,
+		...(expiresIn !== undefined && { exp: now + expiresIn }),
+		...(jwtid !== undefined && { jti: jwtid }),
+	};
+
+	const signingInput = `${base64UrlEncode(
+		JSON.stringify(header)
+	)}.${base64UrlEncode(JSON.stringify(claims))}`;
+	const signature = crypto.sign(
+		DIGESTS[activeKey.alg],
+		Buffer.from(signingInput),
+		activeKey.privateKey
+	);
+
+	return `${signingInput}.${signature.toString("base64url")}`;
+};
+
+/**
+ * Verify a JWT and return its claims
+ * The algorithm is taken from the key the kid points to, never from the
+ * token header alone.
+ *
+ * @param {string} token - Signed token
+ * @param {Object} options - Verification options
+ * @param {string} options.audience - Audience the token must have been issued for
+ * @returns {Object} Verified claims
+ * @throws {JsonWebTokenError|TokenExpiredError|NotBeforeError} If the token is invalid
+ */
+export const verifyJwt = (token, { audience }) => {
+	assertAudience(audience);
+
+	if (typeof token !== "string") {
+		throw new JsonWebTokenError("jwt must be a string");
+	}
+
+	const parts = token.split(".");
+	if (parts.length !== 3) {
+		throw new JsonWebTokenError("jwt malformed");
+	}
+
+	let header;
+	try {
+		header = base64UrlDecodeJson(parts[0]);
+	} catch {
+		throw new JsonWebTokenError("invalid token");
+	}
+
+	// Tokens without a kid were signed with the shared secret
+	if (header.kid === undefined) {
+		if (!config.auth.jwtSecret) {
+			throw new JsonWebTokenError("jwt key id missing");
+		}
+		return jwt.verify(token, config.auth.jwtSecret, {
+			algorithms: ["HS256"],
+			audience,
+		});
+	}
+
+	const key = keys.get(header.kid);
+	if (!key) {
+		throw new JsonWebTokenError("unknown jwt key id");
+	}
+	if (header.alg !== key.alg) {
+		throw new JsonWebTokenError("invalid algorithm");
+	}
+
+	const isValid = crypto.verify(
+		DIGESTS[key.alg],
+		Buffer.from(`${parts[0]}.${parts[1]}`),
+		key.publicKey,
+		Buffer.from(parts[2], "base64url")
+	);
+	if (!isValid) {
+		throw new JsonWebTokenError("invalid signature");
+	}
+
+	let claims;
+	try {
+		claims = base64UrlDecodeJson(parts[1]);
+	} catch {
+		throw new JsonWebTokenError("invalid token");
+	}
+
+	const now = Math.floor(Date.now() / 1000);
+	if (typeof claims.nbf === "number" && now < claims.nbf) {
+		throw new NotBeforeError("jwt not active", new Date(claims.nbf * 1000));
+	}
+	if (typeof claims.exp === "number" && now >= claims.exp) {
+		throw new TokenExpiredError("jwt expired", new Date(claims.exp * 1000));
+	}
+	if (claims.aud !== audience) {
+		throw new JsonWebTokenError(`jwt audience invalid. expected: ${audience}`);
+	}
+
+	return claims;
+};
+
+/**
+ * Public verification keys as a JSON Web Key Set
+ *
+ * @returns {{ keys: Object[] }} JWKS document
+ */
+export const getJwks = () => ({
+	keys: [...keys.values()].map(({ kid, alg, publicKey }) => ({
+		...publicKey.export({ format: "jwk" }),
+		kid,
+		alg,
+		use: "sig",
+	})),
+});
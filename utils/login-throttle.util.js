@@ -0,0 +1,148 @@
+import { QueryTypes } from "sequelize";
+import { sequelize } from "../database/postgresql.js";
+import { LoginThrottle } from "../model/login-throttle.model.js";
+
+/**
+ * Brute-force protection for sign-in
+ *
+ * Failed attempts are counted per account (by email, whether or not the
+ * account exists, so throttling doesn't reveal registered addresses) and per
+ * client IP. After a few free attempts every further attempt has to wait an
+ * exponentially growing delay, and too many failures lock the key for a while.
+ * Counters are forgotten after a quiet period without failures.
+ */
+const THROTTLE_POLICIES = {
+	account: {
+		freeAttempts: 5,
+		lockoutThreshold: 10,
+		lockoutMs: 15 * 60 * 1000,
+	},
+	ip: {
+		freeAttempts: 20,
+		lockoutThreshold: 100,
+		lockoutMs: 15 * 60 * 1000,
+	},
+};
+
+// Longest delay between attempts before the lockout kicks in
+const MAX_DELAY_MS = 60 * 1000;
+
+// Failures older than this are forgotten
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Build the throttle keys for a sign-in attempt
+ *
+ * @param {Object} req - Express request object
+ * @param {string} email - Email the attempt is for
+ * @returns {string[]} Throttle keys
+ */
+export const getLoginThrottleKeys = (req, email) => [
+	`account:${String(email).trim().toLowerCase()}`,
+	`ip:${req.ip || "unknown"}`,
+];
+
+const getPolicy = (key) => THROTTLE_POLICIES[key.split(":")[0]];
+
+const isStale = (throttle, now) =>
+	!throttle.lastFailureAt ||
+	now - throttle.lastFailureAt.getTime() > FAILURE_WINDOW_MS;
+
+// When the key may try again, or 0 if it may try right now
+const getRetryAt = (throttle, now) => {
+	if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+		return throttle.lockedUntil.getTime();
+	}
+
+	if (isStale(throttle, now)) {
+		return 0;
+	}
+
+	const { freeAttempts } = getPolicy(throttle.key);
+	if (throttle.failures < freeAttempts) {
+		return 0;
+	}
+
+	// 1s, 2s, 4s, ... after the free attempts are used up
+	const delay = Math.min(
+		1000 * 2 ** (throttle.failures - freeAttempts),
+		MAX_DELAY_MS
+	);
+	const retryAt = throttle.lastFailureAt.getTime() + delay;
+
+	return retryAt > now ? retryAt : 0;
+};
+
+/**
+ * Check whether any of the keys has to wait before the next attempt
+ *
+ * @param {string[]} keys - Throttle keys
+ * @returns {Promise<number>} Seconds to wait, 0 if the attempt is allowed
+ */
+export const getLoginRetryAfter = async (keys) => {
+	const now = Date.now();
+	const throttles = await LoginThrottle.findAll({ where: { key: keys } });
+
+	const retryAt = Math.max(
+		0,
+		...throttles.map((throttle) => getRetryAt(throttle, now))
+	);
+
+	return retryAt ? Math.ceil((retryAt - now) / 1000) : 0;
+};
+
+/**
+ * Record a failed attempt for every key
+ * The counter is incremented in a single statement, so failures sent in
+ * parallel can't all read the same count and slip past the lockout.
+ *
+ * @param {string[]} keys - Throttle keys
+ * @returns {Promise<void>}
+ */
+export const recordLoginFailure = async (keys) => {
+	const now = Date.now();
+
+	for (const key of keys) {
+		const [{ failures }] = await sequelize.query(
+			`INSERT INTO login_throttles (key, failures, last_failure_at, created_at, updated_at)
+			 VALUES (:key, 1, :now, :now, :now)
+			 ON CONFLICT (key) DO UPDATE SET
+				failures = CASE
+					WHEN login_throttles.last_failure_at IS NULL
+						OR login_throttles.last_failure_at < :staleBefore
+					THEN 1
+					ELSE login_throttles.failures + 1
+				END,
+				last_failure_at = :now,
+				updated_at = :now
+			 RETURNING failures`,
+			{
+				replacements: {
+					key,
+					now: new Date(now),
+					staleBefore: new Date(now - FAILURE_WINDOW_MS),
+				},
+				type: QueryTypes.SELECT,
+			}
+		);
+
+		const { lockoutThreshold, lockoutMs } = getPolicy(key);
+		if (failures >= lockoutThreshold) {
+			await LoginThrottle.update(
+				{ lockedUntil: new Date(now + lockoutMs) },
+				{ where: { key } }
+			);
+		}
+	}
+};
+
+/**
+ * Forget the failed attempts of a key, e.g. after a successful sign-in or
+ * a password reset (which unlocks the account)
+ *
+ * @param {string} key - Throttle key
+ * @returns {Promise<void>}
+ */
+export const clearLoginThrottle = async (key) => {
+	await LoginThrottle.destroy({ where: { key } });
+};
@@ -0,0 +1,58 @@
+import nodemailer from "nodemailer";
+import config from "../config/env.config.js";
+
+const { smtp } = config.mail;
+
+/**
+ * Mail transport
+ * Uses SMTP when SMTP_HOST is configured, otherwise falls back to a JSON
+ * transport that only logs messages - handy for local development. SMTP_HOST
+ * is required in production (see config/env.config.js).
+ */
+const transporter = smtp
+	? nodemailer.createTransport({
+			host: smtp.host,
+			port: smtp.port,
+			secure: smtp.secure,
+			auth: smtp.user
+				? {
+						user: smtp.user,
+						pass: smtp.password,
+				  }
+				: undefined,
+	  })
+	: nodemailer.createTransport({ jsonTransport: true });
+
+/**
+ * Send an email
+ *
+ * @param {Object} options - Mail options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Mail subject
+ * @param {string} options.text - Plain text body
+ * @param {string} [options.html] - Optional HTML body
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+	const info = await transporter.sendMail({
+		from: config.mail.from,
+		to,
+		subject,
+		text,
+		html,
+	});
+
+	// Without SMTP the message is only logged. Bodies hold verification and
+	// reset links, so only local development gets them to copy the link.
+	if (!smtp) {
+		console.log(
+			config.isDevelopment
+				? `📧 Mail to ${to}: ${subject}\n${text}`
+				: `📧 Mail to ${to}: ${subject}`
+		);
+	}
+
+	return info;
+};
+
+export default sendMail;
@@ -0,0 +1,31 @@
+import crypto from "crypto";
+
+// All personal access tokens start with this prefix, which lets the auth
+// middleware tell them apart from JWTs (and secret scanners find leaked ones)
+export const PERSONAL_ACCESS_TOKEN_PREFIX = "csmbd_pat_";
+
+/**
+ * Whether a bearer token is a personal access token
+ *
+ * @param {string} token - Bearer token
+ * @returns {boolean} True for personal access tokens
+ */
+export const isPersonalAccessToken = (token) =>
+	token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+
+/**
+ * Generate a new personal access token
+ *
+ * @returns {string} Token, e.g. "csmbd_pat_3q2-…"
+ */
+export const generatePersonalAccessToken = () =>
+	PERSONAL_ACCESS_TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+/**
+ * Hash a personal access token for storage and lookup
+ *
+ * @param {string} token - Personal access token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashPersonalAccessToken = (token) =>
+	crypto.createHash("sha256").update(token).digest("hex");
@@ -0,0 +1,88 @@
+import { Follow } from "../model/follow.model.js";
+
+/**
+ * Profile privacy
+ *
+ * - hideEmail / hideLocation: the field is left out for everyone but the owner
+ * - privateProfile: only the owner and approved followers see the content
+ *   (YouTube links) and the profile picture, follows need approval
+ * - hideFromDirectory: the user is left out of the user directory
+ */
+
+// Settings columns, only shown to the owner
+export const PRIVACY_SETTINGS = [
+	"hideEmail",
+	"hideLocation",
+	"privateProfile",
+	"hideFromDirectory",
+];
+
+/**
+ * Ids of the given users that a viewer follows with an approved follow
+ *
+ * @param {string|null} viewerId - Signed-in user, if any
+ * @param {string[]} userIds - Users to check
+ * @returns {Promise<Set<string>>} Followed user ids
+ */
+export const getApprovedFollowingIds = async (viewerId, userIds) => {
+	if (!viewerId || userIds.length === 0) {
+		return new Set();
+	}
+
+	const follows = await Follow.findAll({
+		where: { followerId: viewerId, followingId: userIds, status: "accepted" },
+		attributes: ["followingId"],
+	});
+
+	return new Set(follows.map((follow) => follow.followingId));
+};
+
+/**
+ * Whether a viewer may see the content of a profile
+ *
+ * @param {Object} user - Profile owner (needs id and privateProfile)
+ * @param {string|null} viewerId - Signed-in user, if any
+ * @returns {Promise<boolean>} True if the content is visible
+ */
+export const canViewProfileContent = async (user, viewerId) => {
+	if (!user.privateProfile || viewerId === user.id) {
+		return true;
+	}
+
+	const followed = await getApprovedFollowingIds(viewerId, [user.id]);
+	return followed.has(user.id);
+};
+
+/**
+ * Remove what a viewer may not see from a profile
+ *
+ * @param {Object} user - User model instance
+ * @param {Object} options - Viewer context
+ * @param {string|null} options.viewerId - Signed-in user, if any
+ * @param {boolean} options.canViewContent - Result of canViewProfileContent
+ * @returns {Object} Plain profile data
+ */
+export const toVisibleProfile = (user, { viewerId, canViewContent }) => {
+	const userData = user.toJSON();
+
+	if (viewerId === user.id) {
+		return userData;
+	}
+
+	if (user.hideEmail) {
+		delete userData.email;
+	}
+	if (user.hideLocation) {
+		delete userData.location;
+	}
+	if (!canViewContent) {
+		delete userData.youtubeLinks;
+	}
+
+	for (const setting of PRIVACY_SETTINGS) {
+		delete userData[setting];
+	}
+	userData.isPrivate = user.privateProfile;
+
+	return userData;
+};
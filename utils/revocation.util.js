@@ -0,0 +1,103 @@
+import { Op } from "sequelize";
+import { RevokedToken } from "../model/revoked-token.model.js";
+
+/**
+ * Access token revocation stores
+ *
+ * A store implements:
+ * - revoke(jti, expiresAt): mark a token as revoked until it expires
+ * - isRevoked(jti): whether a token has been revoked
+ * - prune(): forget revoked tokens that have expired anyway
+ *
+ * The database store is used by default so revocations survive across
+ * serverless invocations. The in-memory store is meant for tests and
+ * single-process development setups.
+ */
+
+// Prune expired rows at most once every 10 minutes per process
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Create a revocation store backed by the revoked_tokens table
+ *
+ * @returns {Object} Revocation store
+ */
+export const createDatabaseRevocationStore = () => {
+	let lastPrunedAt = 0;
+
+	const store = {
+		async revoke(jti, expiresAt) {
+			await RevokedToken.upsert({ jti, expiresAt });
+
+			if (Date.now() - lastPrunedAt > PRUNE_INTERVAL_MS) {
+				await store.prune();
+			}
+		},
+
+		async isRevoked(jti) {
+			const revoked = await RevokedToken.findByPk(jti, {
+				attributes: ["jti"],
+			});
+			return Boolean(revoked);
+		},
+
+		async prune() {
+			lastPrunedAt = Date.now();
+			return RevokedToken.destroy({
+				where: { expiresAt: { [Op.lte]: new Date() } },
+			});
+		},
+	};
+
+	return store;
+};
+
+/**
+ * Create a process-local revocation store
+ *
+ * @returns {Object} Revocation store
+ */
+export const createMemoryRevocationStore = () => {
+	// jti -> expiry timestamp in milliseconds
+	const revoked = new Map();
+
+	return {
+		async revoke(jti, expiresAt) {
+			revoked.set(jti, new Date(expiresAt).getTime());
+		},
+
+		async isRevoked(jti) {
+			const expiresAt = revoked.get(jti);
+			return expiresAt !== undefined && expiresAt > Date.now();
+		},
+
+		async prune() {
+			let pruned = 0;
+			revoked.forEach((expiresAt, jti) => {
+				if (expiresAt <= Date.now()) {
+					revoked.delete(jti);
+					pruned += 1;
+				}
+			});
+			return pruned;
+		},
+	};
+};
+
+let revocationStore = createDatabaseRevocationStore();
+
+/**
+ * Replace the active revocation store (e.g. with the in-memory one in tests)
+ *
+ * @param {Object} store - Revocation store
+ */
+export const setRevocationStore = (store) => {
+	revocationStore = store;
+};
+
+/**
+ * Get the active revocation store
+ *
+ * @returns {Object} Revocation store
+ */
+export const getRevocationStore = () => revocationStore;
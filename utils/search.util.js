@@ -0,0 +1,9 @@
+/**
+ * Escape LIKE wildcards so user input only matches literally
+ *
+ * @param {string} value - Search term from the request
+ * @returns {string} Term to put between the % wildcards of a LIKE pattern
+ */
+export const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+export default escapeLike;
@@ -0,0 +1,163 @@
+import crypto from "crypto";
+
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator
+ * apps such as Google Authenticator, Authy or 1Password
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Standard authenticator app settings
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Encode a buffer as base32 (RFC 4648, without padding)
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+	let bits = 0;
+	let value = 0;
+	let output = "";
+
+	for (const byte of buffer) {
+		value = (value << 8) | byte;
+		bits += 8;
+
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+
+	if (bits > 0) {
+		output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	}
+
+	return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (input) => {
+	const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+	let bits = 0;
+	let value = 0;
+	const bytes = [];
+
+	for (const char of cleaned) {
+		const index = BASE32_ALPHABET.indexOf(char);
+		if (index === -1) {
+			throw new Error("Invalid base32 character");
+		}
+
+		value = (value << 5) | index;
+		bits += 5;
+
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+
+	return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ *
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step for a timestamp
+ *
+ * @param {number} [timestamp] - Unix time in milliseconds
+ * @returns {number} Time step counter
+ */
+export const getTotpStep = (timestamp = Date.now()) =>
+	Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Generate the code for a time step (HOTP, RFC 4226)
+ *
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+export const generateTotp = (secret, step = getTotpStep()) => {
+	const counter = Buffer.alloc(8);
+	counter.writeBigUInt64BE(BigInt(step));
+
+	const hmac = crypto
+		.createHmac("sha1", base32Decode(secret))
+		.update(counter)
+		.digest();
+
+	// Dynamic truncation
+	const offset = hmac[hmac.length - 1] & 15;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+	return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Verify a code, allowing for a little clock drift
+ *
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.window] - Steps accepted before and after now
+ * @param {number} [options.afterStep] - Reject steps up to this one (replay protection)
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, { window = 1, afterStep = -1 } = {}) => {
+	const normalized = String(code).replace(/\s/g, "");
+	if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+		return null;
+	}
+
+	const currentStep = getTotpStep();
+
+	for (let step = currentStep - window; step <= currentStep + window; step++) {
+		if (step <= afterStep) {
+			continue;
+		}
+
+		const expected = Buffer.from(generateTotp(secret, step));
+		if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+			return step;
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps import (usually as a QR code)
+ *
+ * @param {Object} options - URI options
+ * @param {string} options.secret - Base32 encoded secret
+ * @param {string} options.accountName - Account label, e.g. the email
+ * @param {string} options.issuer - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+	const label = encodeURIComponent(`${issuer}:${accountName}`);
+	const params = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: "SHA1",
+		digits: String(TOTP_DIGITS),
+		period: String(TOTP_PERIOD_SECONDS),
+	});
+
+	return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,122 @@
+/**
+ * YouTube video URLs
+ *
+ * Links are stored in one canonical form, whatever URL was pasted:
+ * - https://www.youtube.com/watch?v=<id>
+ * - https://youtu.be/<id>
+ * - https://www.youtube.com/shorts|embed|live|v/<id>
+ * - the same on m., music. and youtube-nocookie.com
+ * A start time (t= or start=) is kept, playlist and tracking params are not.
+ */
+
+const YOUTUBE_HOSTS = new Set([
+	"youtube.com",
+	"www.youtube.com",
+	"m.youtube.com",
+	"music.youtube.com",
+	"youtube-nocookie.com",
+	"www.youtube-nocookie.com",
+]);
+
+const SHORT_HOSTS = new Set(["youtu.be", "www.youtu.be"]);
+
+// Paths that carry the video id as their second segment
+const VIDEO_PATHS = new Set(["shorts", "embed", "live", "v", "e"]);
+
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+// 90, 90s, 1m30s, 1h2m3s
+const TIMESTAMP_PATTERN = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/;
+
+/**
+ * Parse a start time parameter
+ *
+ * @param {string|null} value - Value of t or start
+ * @returns {number|null} Seconds, null if missing, invalid or zero
+ */
+const parseStartTime = (value) => {
+	const match = value ? TIMESTAMP_PATTERN.exec(value) : null;
+	if (!match) {
+		return null;
+	}
+
+	const [, hours = 0, minutes = 0, seconds = 0] = match;
+	const total = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+	return total > 0 ? total : null;
+};
+
+/**
+ * Find the video id in a YouTube URL
+ *
+ * @param {URL} url - Parsed URL
+ * @returns {string|null} Video id, null for anything but a video
+ */
+const extractVideoId = (url) => {
+	const host = url.hostname.toLowerCase();
+	const segments = url.pathname.split("/").filter(Boolean);
+
+	if (SHORT_HOSTS.has(host)) {
+		return segments.length === 1 ? segments[0] : null;
+	}
+
+	if (!YOUTUBE_HOSTS.has(host)) {
+		return null;
+	}
+
+	if (segments.length === 1 && segments[0] === "watch") {
+		return url.searchParams.get("v");
+	}
+
+	if (segments.length === 2 && VIDEO_PATHS.has(segments[0])) {
+		return segments[1];
+	}
+
+	return null;
+};
+
+/**
+ * Parse a YouTube video URL into its canonical form
+ *
+ * @param {string} input - URL as entered, the protocol may be left out
+ * @returns {Object|null} videoId, startSeconds, url, embedUrl and thumbnailUrl,
+ *   or null if the URL doesn't point at a YouTube video
+ */
+export const parseYoutubeUrl = (input) => {
+	if (typeof input !== "string") {
+		return null;
+	}
+
+	// Links were always accepted without the protocol
+	const trimmed = input.trim();
+	let url;
+	try {
+		url = new URL(
+			/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`
+		);
+	} catch {
+		return null;
+	}
+
+	const videoId = extractVideoId(url);
+	if (!videoId || !VIDEO_ID_PATTERN.test(videoId)) {
+		return null;
+	}
+
+	const startSeconds = parseStartTime(
+		url.searchParams.get("t") || url.searchParams.get("start")
+	);
+
+	return {
+		videoId,
+		startSeconds,
+		url: `https://www.youtube.com/watch?v=${videoId}${
+			startSeconds ? `&t=${startSeconds}s` : ""
+		}`,
+		embedUrl: `https://www.youtube.com/embed/${videoId}${
+			startSeconds ? `?start=${startSeconds}` : ""
+		}`,
+		thumbnailUrl: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+	};
+};
+
+export default parseYoutubeUrl;